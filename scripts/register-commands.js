@@ -1,45 +1,21 @@
 import 'dotenv/config';
-import { REST, Routes } from 'discord.js';
+import { loadGuildConfigs } from '../src/guildConfig.js';
+import { registerCommands } from '../src/commands/index.js';
 
 const token = process.env.DISCORD_TOKEN;
 const clientId = process.env.DISCORD_CLIENT_ID;
-const guildId = process.env.GUILD_ID;
 
 if (!token || !clientId) {
 	console.error('Missing DISCORD_TOKEN or DISCORD_CLIENT_ID');
 	process.exit(1);
 }
 
-const commands = [
-	{
-		name: 'submit-wallet-setup',
-		description: 'Post the wallet submission message in this channel',
-	},
-	{
-		name: 'refresh-wallet-roles',
-		description: 'Refresh stored roles for submitted wallets',
-	},
-	{
-		name: 'fill-monad-airdrop-role',
-		description: 'Fill blank roles with Monad Airdrop if user has that role',
-	},
-	{
-		name: 'prune-no-priority-roles',
-		description: 'Remove sheet entries for users without any priority role',
-	},
-];
-
-const rest = new REST({ version: '10' }).setToken(token);
-
+// Same command list as the bot registers at startup (src/commands): guild-scoped for GUILD_ID,
+// GUILD_IDS (comma-separated) and every configured server, otherwise global
 async function main() {
 	try {
-		if (guildId) {
-			await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
-			console.log('Registered guild commands.');
-		} else {
-			await rest.put(Routes.applicationCommands(clientId), { body: commands });
-			console.log('Registered global commands.');
-		}
+		await loadGuildConfigs();
+		await registerCommands({ token, clientId });
 	} catch (err) {
 		console.error(err);
 		process.exit(1);
@@ -47,5 +23,3 @@ async function main() {
 }
 
 main();
-
-
@@ -0,0 +1,45 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+
+// Addresses nobody controls; submitting one is always a mistake (or a joke)
+export const BURN_ADDRESSES = new Set([
+	'0x0000000000000000000000000000000000000000',
+	'0x0000000000000000000000000000000000000001',
+	'0x000000000000000000000000000000000000dead',
+	'0xdead000000000000000042069420694206942069',
+	'0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+	'0xffffffffffffffffffffffffffffffffffffffff',
+]);
+
+const HEX_ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+
+// EIP-55: uppercase each hex letter whose matching nibble of keccak256(lowercase address) is >= 8
+export function toChecksumAddress(address) {
+	const lower = address.slice(2).toLowerCase();
+	const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+	let result = '0x';
+	for (let i = 0; i < lower.length; i++) {
+		result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+	}
+	return result;
+}
+
+// Validate a submitted EVM address and return its canonical checksummed form.
+// All-lowercase and all-uppercase input carries no checksum and is accepted as-is;
+// mixed case must match EIP-55 exactly, which catches most single-character typos.
+export function validateEvmAddress(input) {
+	const value = (input || '').trim();
+	if (!HEX_ADDRESS.test(value)) {
+		return { ok: false, reason: 'format', message: 'Invalid EVM address. Please submit a 0x... address (40 hex characters).' };
+	}
+	const body = value.slice(2);
+	const isMixedCase = body !== body.toLowerCase() && body !== body.toUpperCase();
+	const checksummed = toChecksumAddress(value);
+	if (isMixedCase && value !== checksummed) {
+		return { ok: false, reason: 'checksum', message: 'That address has an invalid checksum (the upper/lower case letters don\'t match). Please copy it again directly from your wallet.' };
+	}
+	if (BURN_ADDRESSES.has(value.toLowerCase())) {
+		return { ok: false, reason: 'burn', message: 'That is a burn/placeholder address nobody can use. Please submit your own wallet.' };
+	}
+	return { ok: true, address: checksummed };
+}
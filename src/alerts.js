@@ -0,0 +1,13 @@
+import { getGuildConfig } from './guildConfig.js';
+
+// Post a notice to the server's configured alert channel, if any
+export async function sendAlert(guild, content) {
+	const channelId = getGuildConfig(guild?.id)?.alertChannelId;
+	if (!channelId) return;
+	try {
+		const channel = await guild.channels.fetch(channelId);
+		await channel?.send({ content, allowedMentions: { parse: [] } });
+	} catch (err) {
+		console.error('Failed to post alert:', err);
+	}
+}
@@ -0,0 +1,62 @@
+import 'dotenv/config';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Append-only audit trail of every wallet change, one JSON line per entry in AUDIT_DIR/<guildId>.jsonl:
+//   { timestamp, actorType, actorId, action, discordId, discordUsername, oldWallet, newWallet, oldTier, newTier }
+// actorType is 'user' (self-service), 'admin' (commands) or 'system' (automatic jobs);
+// action is insert, update, move, delete, prune, merge (a duplicate row removed by /sheet-doctor),
+// import (a row saved by /import-wallets), promote (a waitlisted submission given a freed slot)
+// or tag. Tag entries also carry oldTags and newTags; entries that change a non-EVM address carry
+// addresses: { <chain>: { old, new } }.
+const AUDIT_DIR = process.env.AUDIT_DIR || 'data/audit';
+
+let appendChain = Promise.resolve();
+
+function auditFile(guildId) {
+	return path.join(AUDIT_DIR, `${guildId}.jsonl`);
+}
+
+export function appendAudit(guildId, entries) {
+	if (!guildId || entries.length === 0) return appendChain;
+	const timestamp = new Date().toISOString();
+	const lines = entries.map((entry) => JSON.stringify({ timestamp, ...entry })).join('\n') + '\n';
+	appendChain = appendChain
+		.then(async () => {
+			await fs.mkdir(AUDIT_DIR, { recursive: true });
+			await fs.appendFile(auditFile(guildId), lines);
+		})
+		.catch((err) => console.error('Failed to write audit log:', err));
+	return appendChain;
+}
+
+// Entries for one member, newest first
+export async function readAudit(guildId, { discordId = null, limit = Infinity } = {}) {
+	let raw = '';
+	try {
+		raw = await fs.readFile(auditFile(guildId), 'utf8');
+	} catch (err) {
+		if (err?.code !== 'ENOENT') throw err;
+	}
+	const entries = [];
+	for (const line of raw.split('\n')) {
+		if (!line.trim()) continue;
+		try {
+			const entry = JSON.parse(line);
+			if (!discordId || entry.discordId === discordId) entries.push(entry);
+		} catch {}
+	}
+	return entries.reverse().slice(0, limit);
+}
+
+export function formatAuditEntry(entry) {
+	const when = entry.timestamp.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+	const actor = entry.actorId ? `${entry.actorType} <@${entry.actorId}>` : entry.actorType;
+	const parts = [`${when} · **${entry.action}** by ${actor}`];
+	if ((entry.oldTier || '') !== (entry.newTier || '')) parts.push(`tier ${entry.oldTier || '—'} → ${entry.newTier || '—'}`);
+	if ((entry.oldWallet || '') !== (entry.newWallet || '')) parts.push(`wallet \`${entry.oldWallet || '—'}\` → \`${entry.newWallet || '—'}\``);
+	else if (entry.newWallet) parts.push(`wallet \`${entry.newWallet}\``);
+	for (const [chain, change] of Object.entries(entry.addresses || {})) parts.push(`${chain} \`${change.old || '—'}\` → \`${change.new || '—'}\``);
+	if (entry.newTags) parts.push(`tags ${entry.oldTags?.join(', ') || '—'} → ${entry.newTags.join(', ') || '—'}`);
+	return parts.join(' · ');
+}
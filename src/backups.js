@@ -0,0 +1,50 @@
+import 'dotenv/config';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createJsonFile } from './jsonFile.js';
+
+// Full copies of every tier tab, one timestamped JSON file per backup under BACKUP_DIR/<guildId>/.
+// Each tab is stored exactly as read from storage (readTabs()): its own header row first, then every
+// row in place, blank ones included, so it can be pasted back as is.
+// Only the newest BACKUP_KEEP files of each server are kept.
+const BACKUP_DIR = process.env.BACKUP_DIR || 'data/backups';
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 30;
+
+function guildDir(guildId) {
+	return path.join(BACKUP_DIR, guildId);
+}
+
+// tabs: readTabs() output
+export async function createBackup(guildId, { tabs, backend }) {
+	const createdAt = new Date().toISOString();
+	// e.g. 20250101T120000123Z; older backups have ids without the milliseconds
+	const id = createdAt.replace(/[-:.]/g, '');
+	const file = path.join(guildDir(guildId), `${id}.json`);
+	const stored = Object.fromEntries(tabs.map(({ sheetName, header, rows }) => [sheetName, [header, ...rows]]));
+	// An existing backup is never replaced, even by one made in the same millisecond
+	try {
+		await createJsonFile(file, { id, guildId, createdAt, backend, tabs: stored });
+	} catch (err) {
+		if (err?.code === 'EEXIST') throw new Error('Another backup was made at the same moment. Try again.');
+		throw err;
+	}
+	await pruneBackups(guildId);
+	return { id, file, tabs: tabs.length, rows: tabs.reduce((sum, { rows }) => sum + rows.length, 0) };
+}
+
+async function pruneBackups(guildId) {
+	const files = (await fs.readdir(guildDir(guildId))).filter((f) => /^[\dTZ]+\.json$/.test(f)).sort().reverse();
+	for (const old of files.slice(BACKUP_KEEP)) {
+		await fs.unlink(path.join(guildDir(guildId), old)).catch((err) => console.error(`Failed to remove old backup ${old}:`, err));
+	}
+}
+
+// Job body for backups (see jobs.js)
+export async function runBackupJob({ store }, job, ctx) {
+	const tabs = await store.readTabs();
+	const rows = tabs.reduce((sum, tab) => sum + tab.rows.length, 0);
+	await ctx.progress({ total: rows });
+	const result = await createBackup(job.guildId, { tabs, backend: store.backend });
+	await ctx.progress({ processed: rows });
+	return result;
+}
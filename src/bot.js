@@ -1,6 +1,28 @@
 import 'dotenv/config';
-import { Client, GatewayIntentBits, REST, Routes, Partials, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, InteractionType, EmbedBuilder } from 'discord.js';
-import { upsertWallet, getWallet, ensureSheetSetup, listWalletsWithRow, batchUpdateRoles, batchDeleteRows } from './sheets.js';
+import { Client, GatewayIntentBits, Partials, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, InteractionType } from 'discord.js';
+import { getStore } from './storage/index.js';
+import { validateEvmAddress } from './address.js';
+import { findWalletConflicts } from './duplicates.js';
+import { sendAlert } from './alerts.js';
+import { getHighestPriorityRoleLabel } from './members.js';
+import { isCollectorAdmin, formatAdminAllowlist } from './permissions.js';
+import { loadJobs, defineJobType, getJob, runNext, runExclusive, updateJobResult } from './jobs.js';
+import { isPendingReview, watchJobMessages } from './jobMessages.js';
+import { runRefreshJob, runPruneJob, runTagJob, applyPlan } from './maintenance.js';
+import { getPublishedSnapshot, findClaim } from './snapshots.js';
+import { runBackupJob } from './backups.js';
+import { runImportJob } from './imports.js';
+import { watchSchedules } from './schedules.js';
+import { submitOrWaitlist, writeOrWaitlist, promoteWaitlist, getWaitlistEntry, removeFromWaitlist } from './waitlist.js';
+import { loadDefaultTiers, getHighestTierForRoles } from './tiers.js';
+import { EXTRA_CHAINS, getChain, validateChainAddress } from './chains.js';
+import { buildWalletEmbed } from './walletEmbed.js';
+import { SUBMISSION_STATUS, getSubmissionState, getSubmissionBlock } from './submissionWindow.js';
+import { trackPanel, watchSubmissionWindows } from './panels.js';
+import { loadGuildConfigs, getGuildTiers, getDuplicatePolicy, getMemberSyncMode, getWalletChains, getCosmosPrefix } from './guildConfig.js';
+import { getCommand, registerCommands } from './commands/index.js';
+import { buildDoctorReply } from './commands/sheetDoctor.js';
+import { scanSheet, repairSheet, formatRepairResult } from './sheetDoctor.js';
 
 const token = process.env.DISCORD_TOKEN;
 const clientId = process.env.DISCORD_CLIENT_ID;
@@ -10,217 +32,332 @@ if (!token || !clientId) {
 	process.exit(1);
 }
 
-// Role priority (highest to lowest) - labels match sheet names
-const PRIORITY_ROLES = [
-	{ id: '1184443552571338792', label: 'Monadian' },
-	{ id: '1316432197162631238', label: 'Monarch' },
-	{ id: '1184772610102394950', label: 'Monalista' },
-];
-
-async function getMemberRoleIds(interaction) {
-    if (!interaction.guild) return new Set();
-    const member = interaction.member;
-    // Try to read roles from the interaction payload
-    if (member && member.roles) {
-        // Cached GuildMember
-        if ('cache' in member.roles) {
-            try {
-                return new Set(member.roles.cache.map((r) => r.id));
-            } catch {}
-        }
-        // Raw roles array from API payload
-        if (Array.isArray(member.roles)) {
-            return new Set(member.roles);
-        }
-    }
-    // Fallback: fetch full member (requires GuildMembers intent)
-    try {
-        const fullMember = await interaction.guild.members.fetch(interaction.user.id);
-        return new Set(fullMember.roles.cache.map((r) => r.id));
-    } catch {
-        return new Set();
-    }
-}
-
-async function getHighestPriorityRoleLabel(interaction) {
-    try {
-        const roleIds = await getMemberRoleIds(interaction);
-        const found = PRIORITY_ROLES.find((r) => roleIds.has(r.id));
-        return found ? found.label : '';
-    } catch {
-        return '';
-    }
-}
-
 const client = new Client({
 	intents: [
 		GatewayIntentBits.Guilds,
 		GatewayIntentBits.GuildMembers,
 	],
-	partials: [Partials.Channel],
+	partials: [Partials.Channel, Partials.GuildMember],
 });
 
-client.once('ready', () => {
+client.once('ready', async () => {
 	console.log(`Logged in as ${client.user.tag}`);
+	// Warm up storage for every server (creates tabs and headers if needed)
+	for (const guild of client.guilds.cache.values()) {
+		try {
+			await getStore(guild.id)?.ensureSetup();
+		} catch (err) {
+			console.error(`Storage warm-up failed for guild ${guild.id}:`, err);
+		}
+	}
+	// Pick up jobs that were queued or running before a restart
+	runNext();
 });
 
 // No sticky reposting; deletion is governed by Discord permissions (Manage Messages)
 
-// Register commands on startup (guild-scoped if GUILD_ID provided, otherwise global)
-async function registerCommands() {
-	const commands = [
-		{
-			name: 'submit-wallet-setup',
-			description: 'Post the wallet submission message in this channel',
-		},
-		{
-			name: 'refresh-wallet-roles',
-			description: 'Refresh stored roles for submitted wallets',
-		},
-		{
-			name: 'prune-no-priority-roles',
-			description: 'Remove sheet entries for users without any priority role',
-		},
-	];
-	const rest = new REST({ version: '10' }).setToken(token);
+// Background jobs run against the server's storage and its cached guild
+function jobTarget(guildId) {
+	const guild = client.guilds.cache.get(guildId);
+	const store = getStore(guildId);
+	if (!guild || !store) throw new Error('Server is no longer available or not configured.');
+	return { guild, store };
+}
+
+defineJobType('refresh', { label: 'Role refresh', run: (job, ctx) => runRefreshJob(jobTarget(job.guildId), job, ctx) });
+defineJobType('prune', { label: 'Prune', run: (job, ctx) => runPruneJob(jobTarget(job.guildId), job, ctx) });
+defineJobType('tags', { label: 'Tag fill', run: (job, ctx) => runTagJob(jobTarget(job.guildId), job, ctx) });
+defineJobType('import', { label: 'Wallet import', run: (job, ctx) => runImportJob(jobTarget(job.guildId), job, ctx) });
+defineJobType('backup', { label: 'Backup', run: (job, ctx) => runBackupJob(jobTarget(job.guildId), job, ctx) });
+
+watchJobMessages(client);
+watchSubmissionWindows(client);
+watchSchedules(client);
+
+// Keep a single submitter's row in line with their roles as gateway events arrive.
+// newTier is the member's highest tier now, or null if they hold none or left the server.
+async function syncMemberTier(guild, discordId, newTier, reason) {
+	const mode = getMemberSyncMode(guild.id);
+	if (mode === 'off') return;
+	const store = getStore(guild.id);
+	if (!store) return;
+	const record = await store.getWallet(discordId);
+	if (!record) return;
+	const newLabel = newTier?.label ?? '';
+	if ((record.role || '').toLowerCase() === newLabel.toLowerCase()) return;
+
+	const change = newTier ? `tier ${record.role || 'none'} → ${newLabel}` : `no longer eligible (${reason})`;
+	if (mode === 'flag') {
+		await sendAlert(guild, `🔎 <@${discordId}> ${change}; their row was left unchanged.`);
+		return;
+	}
+	const context = { actorType: 'system', actorId: null };
+	if (newTier) {
+		// A full capped tier puts the member on its waitlist instead
+		const result = await writeOrWaitlist(store, guild.id, { ...record, role: newLabel }, () => store.updateRole(discordId, newLabel, context), context);
+		if (result?.action === 'waitlisted') {
+			const row = result.removed ? `their ${record.role} row was removed` : `their ${record.role || 'current'} row stays until then`;
+			console.log(`Member sync in ${guild.id}: ${discordId} ${change}, waitlisted`);
+			await sendAlert(guild, `⏳ <@${discordId}> ${change}, but ${newLabel} is full: waitlisted at position ${result.position} of ${result.size}; ${row}.`);
+			await promoteWaitlist(guild, store);
+			return;
+		}
+	} else {
+		await store.deleteWallet(discordId, context);
+	}
+	console.log(`Member sync in ${guild.id}: ${discordId} ${change}`);
+	await promoteWaitlist(guild, store);
+}
+
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
 	try {
-		if (process.env.GUILD_ID) {
-			await rest.put(
-				Routes.applicationGuildCommands(clientId, process.env.GUILD_ID),
-				{ body: commands },
-			);
-			console.log('Guild commands registered.');
-		} else {
-			await rest.put(Routes.applicationCommands(clientId), { body: commands });
-			console.log('Global commands registered (may take up to 1 hour to appear).');
+		const tiers = getGuildTiers(newMember.guild.id);
+		const newTier = getHighestTierForRoles(tiers, new Set(newMember.roles.cache.keys()));
+		// Without the old role list (uncached member) we can't tell what changed, so compare against the row
+		if (!oldMember.partial) {
+			const oldTier = getHighestTierForRoles(tiers, new Set(oldMember.roles.cache.keys()));
+			if (oldTier?.roleId === newTier?.roleId) return;
 		}
+		await syncMemberTier(newMember.guild, newMember.id, newTier, 'lost tier role');
+	} catch (err) {
+		console.error('Member update sync failed:', err);
+	}
+});
+
+client.on('guildMemberRemove', async (member) => {
+	try {
+		await removeFromWaitlist(member.guild.id, member.id);
+		await syncMemberTier(member.guild, member.id, null, 'left the server');
 	} catch (err) {
-		console.error('Failed to register commands:', err);
+		console.error('Member remove sync failed:', err);
 	}
+});
+
+// Denied admin attempts go to the console and the server's alert channel
+async function denyAdminAccess(interaction, what) {
+	console.warn(`Denied ${what} for ${interaction.user.tag ?? interaction.user.username} (${interaction.user.id}) in guild ${interaction.guildId ?? 'DM'}`);
+	if (interaction.guild) await sendAlert(interaction.guild, `⛔ <@${interaction.user.id}> tried to use ${what} without admin access.`);
+	await interaction.reply({
+		content: `You don't have permission to use this. Admin access: ${interaction.guildId ? formatAdminAllowlist(interaction.guildId) : 'servers only'}.`,
+		ephemeral: true,
+		allowedMentions: { parse: [] },
+	});
+}
+
+async function replyNotSetUp(interaction) {
+	await interaction.reply({
+		content: interaction.guildId
+			? 'This server is not set up yet. An admin needs to run `/collector-config set`.'
+			: 'This only works inside a server.',
+		ephemeral: true,
+	});
+}
+
+// How long the Submit button waits for a member lookup outside the submission window
+const MODAL_LOOKUP_TIMEOUT_MS = 2000;
+
+// Resubmissions that change a stored address wait here for the member's confirmation,
+// keyed by server and member. They are not persisted: after a restart the member submits again.
+const PENDING_SUBMISSION_TTL_MS = 10 * 60 * 1000;
+const pendingSubmissions = new Map();
+
+function confirmButtons(confirmId, cancelId, confirmLabel) {
+	return new ActionRowBuilder().addComponents(
+		new ButtonBuilder().setCustomId(confirmId).setLabel(confirmLabel).setStyle(ButtonStyle.Danger),
+		new ButtonBuilder().setCustomId(cancelId).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+	);
+}
+
+// Stored addresses this submission would replace: [{ label, old, new }]. Other chains left
+// empty in the modal keep their address, so only non-empty ones can change.
+function replacedAddresses(record, { wallet, addresses }) {
+	if (!record) return [];
+	const changes = [];
+	if (record.wallet && record.wallet.toLowerCase() !== wallet.toLowerCase()) changes.push({ label: 'EVM', old: record.wallet, new: wallet });
+	for (const [chainId, address] of Object.entries(addresses)) {
+		const current = record.addresses?.[chainId];
+		if (current && current !== address) changes.push({ label: getChain(chainId).label, old: current, new: address });
+	}
+	return changes;
+}
+
+// Save a member's own submission. Replacing a stored address asks for confirmation first
+// (unless confirmed is set); the reply always goes to the interaction's deferred message.
+async function saveSubmission(interaction, store, submission, { confirmed = false } = {}) {
+	const discordId = interaction.user.id;
+	const { wallet, addresses } = submission;
+	const record = await store.getWallet(discordId);
+	const waiting = record ? null : await getWaitlistEntry(interaction.guildId, discordId);
+	const blocked = getSubmissionBlock(getSubmissionState(interaction.guildId), { hasEntry: Boolean(record || waiting) });
+	if (blocked) {
+		await interaction.editReply({ content: blocked, embeds: [], components: [] });
+		return;
+	}
+	// Same address already registered by someone else: apply the server's duplicate policy
+	const policy = getDuplicatePolicy(interaction.guildId);
+	const conflicts = policy === 'allow' ? [] : findWalletConflicts(await store.listWalletsWithRow(), discordId, wallet);
+	if (conflicts.length > 0 && policy === 'reject') {
+		await interaction.editReply({ content: 'That wallet has already been submitted by another member. Each wallet can only be registered once.', embeds: [], components: [] });
+		return;
+	}
+
+	const changes = replacedAddresses(record, submission);
+	if (changes.length > 0 && !confirmed) {
+		for (const [key, pending] of pendingSubmissions) {
+			if (pending.expiresAt < Date.now()) pendingSubmissions.delete(key);
+		}
+		pendingSubmissions.set(`${interaction.guildId}:${discordId}`, { ...submission, previous: record, expiresAt: Date.now() + PENDING_SUBMISSION_TTL_MS });
+		const embed = new EmbedBuilder()
+			.setTitle('Replace your wallet?')
+			.setDescription('This replaces the address(es) below. Nothing is saved until you confirm.')
+			.addFields(changes.map((c) => ({ name: c.label, value: `Current: \`${c.old}\`\nNew: \`${c.new}\`` })))
+			.setColor(0xe67e22);
+		await interaction.editReply({ embeds: [embed], components: [confirmButtons('wallet_change_confirm', 'wallet_change_cancel', 'Replace')] });
+		return;
+	}
+
+	if (conflicts.length > 0) {
+		const owners = conflicts.map((c) => `${c.discordUsername || c.discordId} (${c.sheetName}!${c.rowNumber})`).join(', ');
+		console.warn(`Duplicate wallet ${wallet} submitted by ${discordId}; already used by ${owners}`);
+		await sendAlert(interaction.guild, `⚠️ Duplicate wallet: <@${discordId}> submitted \`${wallet}\`, already used by ${owners}.`);
+	}
+	const discordUsername = `${interaction.user.username}#${interaction.user.discriminator ?? ''}`.replace(/#$/,'');
+	const role = await getHighestPriorityRoleLabel(interaction);
+	const result = await submitOrWaitlist(store, interaction.guildId, { discordId, discordUsername, wallet, role, addresses }, { actorType: 'user', actorId: discordId });
+	if (result.action === 'waitlisted') {
+		const kept = result.removed ? ` Your ${record.role} entry was removed, since you no longer hold that tier.` : record ? ` Your current entry${record.role ? ` (${record.role})` : ''} stays as it is until then.` : '';
+		await interaction.editReply({ content: `${result.tier.label} is full, so you are on its waitlist: position ${result.position} of ${result.size}. You will be added automatically and notified when a spot opens.${kept}`, embeds: [], components: [] });
+		return;
+	}
+	await interaction.editReply({ content: `Wallet ${result.action === 'updated' ? 'updated' : 'saved'} successfully.`, embeds: [], components: [] });
+}
+
+function sameAddresses(a, b) {
+	return (a?.wallet ?? '') === (b?.wallet ?? '')
+		&& EXTRA_CHAINS.every((c) => (a?.addresses?.[c.id] ?? '') === (b?.addresses?.[c.id] ?? ''));
 }
 
 client.on('interactionCreate', async (interaction) => {
 	try {
-		if (interaction.isChatInputCommand()) {
-			if (interaction.commandName === 'submit-wallet-setup') {
-				const submitButton = new ButtonBuilder()
-					.setCustomId('submit_wallet')
-					.setLabel('Submit Wallet')
-					.setStyle(ButtonStyle.Success);
-
-				const statusButton = new ButtonBuilder()
-					.setCustomId('check_status')
-					.setLabel('Check Status')
-					.setStyle(ButtonStyle.Primary);
-
-				const row = new ActionRowBuilder().addComponents(submitButton, statusButton);
-
-				const embed = new EmbedBuilder()
-					.setDescription('Submit your wallet')
-					.setColor(0x2b2d31);
-
-				await interaction.reply({
-					embeds: [embed],
-					components: [row],
-					allowedMentions: { parse: [] },
-				});
-			}
-			if (interaction.commandName === 'refresh-wallet-roles') {
-				await interaction.deferReply({ ephemeral: true });
-				const items = await listWalletsWithRow();
-				await interaction.editReply(`Refreshing roles for ${items.length} user(s). I'll DM you when done.`);
-				(async () => {
-					const concurrencyLimit = 5;
-					const queue = [...items];
-					const computed = [];
-					const workers = Array.from({ length: concurrencyLimit }, async () => {
-						while (queue.length > 0) {
-							const item = queue.shift();
-							if (!item || !item.discordId) continue;
-							try {
-								const member = await interaction.guild?.members.fetch(item.discordId).catch(() => null);
-								const role = await getHighestPriorityRoleLabel({ guild: interaction.guild, user: { id: item.discordId }, member });
-								computed.push({ 
-									sheetName: item.sheetName,
-									rowNumber: item.rowNumber, 
-									discordId: item.discordId,
-									discordUsername: item.discordUsername,
-									wallet: item.wallet,
-									newRole: role || '' 
-								});
-							} catch {
-								computed.push({ 
-									sheetName: item.sheetName,
-									rowNumber: item.rowNumber, 
-									discordId: item.discordId,
-									discordUsername: item.discordUsername,
-									wallet: item.wallet,
-									newRole: '' 
-								});
-							}
-						}
+		// The dry-run review and sheet doctor buttons are for admins only, like the commands that create them
+		if (interaction.isButton() && /^(job_(apply|discard):|sheet_doctor_)/.test(interaction.customId) && !isCollectorAdmin(interaction)) {
+			await denyAdminAccess(interaction, 'the review buttons');
+			return;
+		}
+
+		// Slash commands and autocomplete go through the command registry (src/commands)
+		if (interaction.isChatInputCommand() || interaction.isAutocomplete()) {
+			const command = getCommand(interaction.commandName);
+			if (!command) {
+				console.warn(`Unknown command /${interaction.commandName} from ${interaction.user.id} in guild ${interaction.guildId ?? 'DM'}`);
+				if (interaction.isAutocomplete()) {
+					await interaction.respond([]);
+				} else {
+					await interaction.reply({
+						content: `\`/${interaction.commandName}\` is not a command this bot handles. The command list may be out of date; an admin can run \`npm run register\` to refresh it.`,
+						ephemeral: true,
 					});
-					await Promise.all(workers);
-					// Only write differences or moves to reduce API calls
-					const diffs = computed
-						.map((c) => {
-							const existing = items.find((i) => i.discordId === c.discordId);
-							// Check if role changed or needs to move to different sheet
-							return existing && (existing.role || '') !== c.newRole ? c : null;
-						})
-						.filter(Boolean);
-					let updated = 0;
-					let moved = 0;
-					if (diffs.length > 0) {
-						const result = await batchUpdateRoles(diffs);
-						updated = result.updated || 0;
-						moved = result.moved || 0;
-					}
-					try {
-						await interaction.user.send(`Roles refreshed: ${updated} updated, ${moved} moved between sheets.`);
-					} catch {}
-				})();
+				}
+				return;
 			}
-			if (interaction.commandName === 'prune-no-priority-roles') {
-				await interaction.deferReply({ ephemeral: true });
-				const items = await listWalletsWithRow();
-				await interaction.editReply(`Scanning ${items.length} user(s) to prune entries without priority roles. I'll DM you when done.`);
-				(async () => {
-					const concurrencyLimit = 5;
-					const queue = [...items];
-					const toDelete = [];
-					const workers = Array.from({ length: concurrencyLimit }, async () => {
-						while (queue.length > 0) {
-							const item = queue.shift();
-							if (!item || !item.discordId) continue;
-							try {
-								const member = await interaction.guild?.members.fetch(item.discordId).catch(() => null);
-								const roleIds = new Set(member?.roles?.cache?.map((r) => r.id) || []);
-								const hasAnyPriority = PRIORITY_ROLES.some((r) => roleIds.has(r.id));
-								if (!hasAnyPriority) {
-									toDelete.push({ sheetName: item.sheetName, rowNumber: item.rowNumber });
-								}
-							} catch {}
-						}
-					});
-					await Promise.all(workers);
-					let deleted = 0;
-					if (toDelete.length > 0) {
-						const { deleted: count } = await batchDeleteRows(toDelete);
-						deleted = count;
-					}
-					try {
-						await interaction.user.send(`Pruned ${deleted} entrie(s) with no priority roles.`);
-					} catch {}
-				})();
+			if (interaction.isChatInputCommand() && command.admin && !isCollectorAdmin(interaction)) {
+				await denyAdminAccess(interaction, `\`/${interaction.commandName}\``);
+				return;
 			}
+			// Everything except the setup command reads and writes this server's own storage and tiers
+			const store = command.requiresStore === false ? null : getStore(interaction.guildId);
+			if (!store && command.requiresStore !== false) {
+				if (interaction.isAutocomplete()) await interaction.respond([]);
+				else await replyNotSetUp(interaction);
+				return;
+			}
+			if (interaction.isAutocomplete()) {
+				if (command.autocomplete) await command.autocomplete(interaction, { store });
+				else await interaction.respond([]);
+				return;
+			}
+			await command.execute(interaction, { store });
+			return;
+		}
+
+		const store = getStore(interaction.guildId);
+		if (!store) {
+			if (interaction.isRepliable()) await replyNotSetUp(interaction);
+			return;
 		}
 
 		if (interaction.isButton()) {
+			if (interaction.customId.startsWith('job_apply:') || interaction.customId.startsWith('job_discard:')) {
+				const [action, id] = interaction.customId.split(':');
+				const job = getJob(interaction.guildId, Number(id));
+				if (!job || !isPendingReview(job)) {
+					await interaction.reply({ content: 'This preview has already been handled.', ephemeral: true });
+					return;
+				}
+				// The review is marked before anything is awaited, so a second click sees it as handled
+				const marked = updateJobResult(job, {
+					review: action === 'job_discard'
+						? { status: 'discarded', by: interaction.user.id, at: new Date().toISOString() }
+						: { status: 'applying', by: interaction.user.id },
+				});
+				await Promise.all([marked, interaction.deferUpdate()]);
+				if (action === 'job_discard') return;
+				try {
+					// Applied in the job queue's slot, so it never runs alongside another job writing to storage
+					const result = await runExclusive(() => applyPlan({ guild: interaction.guild, store }, job.type, job.result.changes, { actorType: 'admin', actorId: interaction.user.id }));
+					await updateJobResult(job, { review: { status: 'applied', by: interaction.user.id, at: new Date().toISOString(), ...result } });
+					await promoteWaitlist(interaction.guild, store).catch((err) => console.error('Waitlist promotion failed:', err));
+				} catch (err) {
+					console.error(`Failed to apply job #${job.id}:`, err);
+					await updateJobResult(job, { review: { status: 'failed', by: interaction.user.id, at: new Date().toISOString(), error: err?.message || String(err) } });
+				}
+				return;
+			}
+
+			if (interaction.customId === 'sheet_doctor_cancel') {
+				await interaction.update({ content: 'Nothing was changed.', files: [], attachments: [], components: [] });
+				return;
+			}
+
+			if (interaction.customId === 'sheet_doctor_fix') {
+				await interaction.update({ content: 'Fixing…', components: [] });
+				try {
+					const result = await repairSheet(store, interaction.guildId, { actorType: 'admin', actorId: interaction.user.id });
+					await interaction.editReply(buildDoctorReply(await scanSheet(store, interaction.guildId), `Done:\n${formatRepairResult(result)}\n`));
+				} catch (err) {
+					console.error('Sheet doctor fix failed:', err);
+					await interaction.editReply({ content: `Fix failed: ${err?.message || err}`.slice(0, 1900), files: [], attachments: [], components: [] });
+				}
+				return;
+			}
+
+			// Panels posted before panels were tracked are picked up the first time a member uses them
+			if ((interaction.customId === 'submit_wallet' || interaction.customId === 'check_status') && interaction.message?.author?.id === client.user.id) {
+				trackPanel(interaction.guildId, interaction.message).catch((err) => console.error('Failed to track panel:', err));
+			}
+
 			if (interaction.customId === 'submit_wallet') {
+				// Outside the submission window only members with an entry may open the form. The modal
+				// has to be shown within 3 seconds, so a slow lookup lets it through; the submit is checked again.
+				const state = getSubmissionState(interaction.guildId);
+				if (state.status !== SUBMISSION_STATUS.OPEN) {
+					const record = state.status === SUBMISSION_STATUS.FROZEN
+						? null
+						: await Promise.race([
+							store.getWallet(interaction.user.id).then(async (found) => found ?? (await getWaitlistEntry(interaction.guildId, interaction.user.id))?.entry ?? null),
+							new Promise((resolve) => setTimeout(resolve, MODAL_LOOKUP_TIMEOUT_MS)),
+						]);
+					const blocked = record === undefined ? null : getSubmissionBlock(state, { hasEntry: Boolean(record) });
+					if (blocked) {
+						await interaction.reply({ content: blocked, ephemeral: true });
+						return;
+					}
+				}
+				// One input per enabled chain (at most 4 of Discord's 5 modal rows); only EVM is required
+				const chains = getWalletChains(interaction.guildId);
 				const modal = new ModalBuilder()
 					.setCustomId('wallet_modal')
-					.setTitle('Submit your EVM wallet');
+					.setTitle(chains.length > 0 ? 'Submit your wallets' : 'Submit your EVM wallet');
 
 				const walletInput = new TextInputBuilder()
 					.setCustomId('wallet_address')
@@ -232,26 +369,113 @@ client.on('interactionCreate', async (interaction) => {
 
 				const row = new ActionRowBuilder().addComponents(walletInput);
 				modal.addComponents(row);
+				for (const chain of chains) {
+					const input = new TextInputBuilder()
+						.setCustomId(`wallet_${chain.id}`)
+						.setLabel(`${chain.label} address (optional)`)
+						.setStyle(TextInputStyle.Short)
+						.setPlaceholder(`${chain.id === 'cosmos' ? `${getCosmosPrefix(interaction.guildId)}1...` : chain.placeholder} — leave empty to keep the current one`)
+						.setRequired(false)
+						.setMaxLength(100);
+					modal.addComponents(new ActionRowBuilder().addComponents(input));
+				}
 				await interaction.showModal(modal);
 			}
 
 			if (interaction.customId === 'check_status') {
 				await interaction.deferReply({ ephemeral: true });
-				const record = await getWallet(interaction.user.id);
+				const record = await store.getWallet(interaction.user.id);
+				const waiting = await getWaitlistEntry(interaction.guildId, interaction.user.id);
+				if (!record && !waiting) {
+					await interaction.editReply('You have not submitted a wallet yet.');
+					return;
+				}
 				if (!record) {
+					const embed = buildWalletEmbed(waiting.entry, { title: 'Waitlisted Submission' })
+						.setDescription(`${waiting.entry.role} is full. You are number **${waiting.position}** of ${waiting.size} on its waitlist and will be added automatically (with a DM) when a spot opens.`)
+						.setColor(0xe67e22);
+					const leaveRow = new ActionRowBuilder().addComponents(
+						new ButtonBuilder().setCustomId('remove_wallet').setLabel('Leave the waitlist').setStyle(ButtonStyle.Secondary),
+					);
+					await interaction.editReply({ embeds: [embed], components: [leaveRow] });
+					return;
+				}
+				const embed = buildWalletEmbed(record);
+				if (waiting) embed.addFields({ name: 'Waitlist', value: `Number ${waiting.position} of ${waiting.size} for ${waiting.entry.role}, with \`${waiting.entry.wallet}\`.` });
+				// Once a snapshot is published, include the member's Merkle proof
+				const files = [];
+				const snapshot = await getPublishedSnapshot(interaction.guildId);
+				const claim = snapshot ? findClaim(snapshot, interaction.user.id) : null;
+				if (snapshot) {
+					embed.addFields({
+						name: 'Allowlist Snapshot',
+						value: claim
+							? `Included in snapshot \`${snapshot.id}\` as \`${claim.address}\`${claim.amount !== undefined ? ` (allocation ${claim.amount})` : ''}. Proof attached.`
+							: `Not included in snapshot \`${snapshot.id}\`.`,
+					});
+				}
+				if (claim) {
+					const proof = { root: snapshot.root, address: claim.address, ...(claim.amount !== undefined && { amount: claim.amount }), leaf: claim.leaf, proof: claim.proof };
+					files.push(new AttachmentBuilder(Buffer.from(JSON.stringify(proof, null, 2)), { name: 'allowlist-proof.json' }));
+				}
+				// Older panels have no remove button, so offer it here too
+				const removeRow = new ActionRowBuilder().addComponents(
+					new ButtonBuilder().setCustomId('remove_wallet').setLabel('Remove my wallet').setStyle(ButtonStyle.Secondary),
+				);
+				await interaction.editReply({ embeds: [embed], files, components: [removeRow] });
+			}
+
+			if ((interaction.customId === 'remove_wallet' || interaction.customId === 'remove_wallet_confirm') && getSubmissionState(interaction.guildId).status === SUBMISSION_STATUS.FROZEN) {
+				await interaction.reply({ content: getSubmissionBlock(getSubmissionState(interaction.guildId), { hasEntry: true }), ephemeral: true });
+				return;
+			}
+
+			if (interaction.customId === 'remove_wallet') {
+				await interaction.deferReply({ ephemeral: true });
+				const record = await store.getWallet(interaction.user.id);
+				const waiting = await getWaitlistEntry(interaction.guildId, interaction.user.id);
+				if (!record && !waiting) {
 					await interaction.editReply('You have not submitted a wallet yet.');
 					return;
 				}
-				const embed = new EmbedBuilder()
-					.setTitle('Wallet Submission')
-					.addFields(
-						{ name: 'Discord Username', value: record.discordUsername || 'Unknown', inline: true },
-						{ name: 'Discord ID', value: record.discordId, inline: true },
-						{ name: 'EVM Wallet', value: record.wallet || 'N/A' },
-						{ name: 'Role', value: record.role || 'N/A', inline: true },
-					)
-					.setColor(0x2ecc71);
-				await interaction.editReply({ embeds: [embed] });
+				const embed = buildWalletEmbed(record ?? waiting.entry, { title: record ? 'Remove your wallet?' : 'Leave the waitlist?' })
+					.setDescription(record
+						? `This deletes your submission from every list${waiting ? ' and the waitlist' : ''}. You can submit again later.`
+						: 'You lose your place in the queue. You can submit again later.')
+					.setColor(0xe67e22);
+				await interaction.editReply({ embeds: [embed], components: [confirmButtons('remove_wallet_confirm', 'remove_wallet_cancel', 'Remove')] });
+			}
+
+			if (interaction.customId === 'remove_wallet_confirm') {
+				await interaction.deferUpdate();
+				const removed = await store.deleteWallet(interaction.user.id, { actorType: 'user', actorId: interaction.user.id });
+				const left = await removeFromWaitlist(interaction.guildId, interaction.user.id);
+				const content = removed ? 'Your wallet was removed.' : left ? 'You left the waitlist.' : 'You have no stored wallet.';
+				await interaction.editReply({ content, embeds: [], components: [] });
+				// The freed slot goes to the next member on the waitlist
+				if (removed) promoteWaitlist(interaction.guild, store).catch((err) => console.error('Waitlist promotion failed:', err));
+			}
+
+			if (interaction.customId === 'remove_wallet_cancel' || interaction.customId === 'wallet_change_cancel') {
+				pendingSubmissions.delete(`${interaction.guildId}:${interaction.user.id}`);
+				await interaction.update({ content: 'Cancelled. Nothing was changed.', embeds: [], components: [] });
+			}
+
+			if (interaction.customId === 'wallet_change_confirm') {
+				await interaction.deferUpdate();
+				const key = `${interaction.guildId}:${interaction.user.id}`;
+				const pending = pendingSubmissions.get(key);
+				pendingSubmissions.delete(key);
+				if (!pending || pending.expiresAt < Date.now()) {
+					await interaction.editReply({ content: 'This confirmation has expired. Please submit your wallet again.', embeds: [], components: [] });
+					return;
+				}
+				// The entry changed since the preview (another submission, an admin fix): show the new comparison
+				if (!sameAddresses(pending.previous, await store.getWallet(interaction.user.id))) {
+					await saveSubmission(interaction, store, pending);
+					return;
+				}
+				await saveSubmission(interaction, store, pending, { confirmed: true });
 			}
 		}
 
@@ -259,18 +483,28 @@ client.on('interactionCreate', async (interaction) => {
 			// Defer immediately to avoid interaction timeout on first use
             await interaction.deferReply({ ephemeral: true });
 
-			const wallet = interaction.fields.getTextInputValue('wallet_address').trim();
-			// very basic 0x address check; no checksum validation
-			const isLikelyEvm = /^0x[a-fA-F0-9]{40}$/.test(wallet);
-			if (!isLikelyEvm) {
-				await interaction.editReply('Invalid EVM address. Please submit a 0x... address.');
+			// Rejects bad format, bad EIP-55 checksum and burn addresses; stores the checksummed form
+			const validation = validateEvmAddress(interaction.fields.getTextInputValue('wallet_address'));
+			if (!validation.ok) {
+				await interaction.editReply(validation.message);
+				return;
+			}
+			const wallet = validation.address;
+			// Optional addresses for the other enabled chains; empty fields keep what is stored
+			const addresses = {};
+			const errors = [];
+			for (const chain of getWalletChains(interaction.guildId)) {
+				const value = interaction.fields.fields.get(`wallet_${chain.id}`)?.value?.trim();
+				if (!value) continue;
+				const result = validateChainAddress(chain.id, value, { cosmosPrefix: getCosmosPrefix(interaction.guildId) });
+				if (result.ok) addresses[chain.id] = result.address;
+				else errors.push(`**${chain.label}:** ${result.message}`);
+			}
+			if (errors.length > 0) {
+				await interaction.editReply(`Nothing was saved.\n${errors.join('\n')}`);
 				return;
 			}
-			const discordId = interaction.user.id;
-			const discordUsername = `${interaction.user.username}#${interaction.user.discriminator ?? ''}`.replace(/#$/,'');
-			const role = await getHighestPriorityRoleLabel(interaction);
-			const result = await upsertWallet({ discordId, discordUsername, wallet, role });
-			await interaction.editReply(`Wallet ${result.action === 'updated' ? 'updated' : 'saved'} successfully.`);
+			await saveSubmission(interaction, store, { wallet, addresses });
 		}
 	} catch (err) {
 		console.error('Interaction error:', err);
@@ -286,11 +520,18 @@ client.on('interactionCreate', async (interaction) => {
 	}
 });
 
-// Warm up Sheets (creates sheet and headers if needed) and register commands
-await ensureSheetSetup().catch((err) => {
-	console.error('Sheets warm-up failed:', err);
+// Load tier definitions, per-server configuration and saved jobs, then register commands.
+// Storage is warmed up per server once the client is ready.
+await loadDefaultTiers().catch((err) => {
+	console.error('Failed to load tiers, using defaults:', err);
+});
+await loadGuildConfigs().catch((err) => {
+	console.error('Failed to load guild configuration:', err);
+});
+await loadJobs().catch((err) => {
+	console.error('Failed to load jobs:', err);
+});
+await registerCommands({ token, clientId }).catch((err) => {
+	console.error('Failed to register commands:', err);
 });
-await registerCommands();
 client.login(token);
-
-
@@ -0,0 +1,157 @@
+import { sha256 } from '@noble/hashes/sha256';
+import { validateEvmAddress } from './address.js';
+
+// Chains a member can store an address for. EVM is always collected (the "EVM Wallet" column);
+// the others are enabled per server and each gets its own column after Tags in every tier tab.
+// Every validator works offline and returns { ok, address } with the canonical form,
+// or { ok: false, reason, message } like validateEvmAddress.
+export const CHAINS = [
+	{ id: 'evm', label: 'EVM', header: 'EVM Wallet', placeholder: '0x...' },
+	{ id: 'solana', label: 'Solana', header: 'Solana Wallet', placeholder: 'Base58 address' },
+	{ id: 'bitcoin', label: 'Bitcoin', header: 'Bitcoin Wallet', placeholder: 'bc1..., 1... or 3...' },
+	{ id: 'cosmos', label: 'Cosmos', header: 'Cosmos Wallet', placeholder: 'cosmos1...' },
+];
+
+export const EXTRA_CHAINS = CHAINS.filter((c) => c.id !== 'evm');
+
+export function getChain(id) {
+	return CHAINS.find((c) => c.id === id) || null;
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(text) {
+	let value = 0n;
+	for (const char of text) {
+		const digit = BASE58_ALPHABET.indexOf(char);
+		if (digit === -1) return null;
+		value = value * 58n + BigInt(digit);
+	}
+	const bytes = [];
+	while (value > 0n) {
+		bytes.unshift(Number(value & 0xffn));
+		value >>= 8n;
+	}
+	// Each leading '1' stands for a leading zero byte
+	for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.unshift(0);
+	return Uint8Array.from(bytes);
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+	let checksum = 1;
+	for (const value of values) {
+		const top = checksum >>> 25;
+		checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+		for (let i = 0; i < 5; i++) {
+			if ((top >>> i) & 1) checksum ^= BECH32_GENERATORS[i];
+		}
+	}
+	return checksum >>> 0;
+}
+
+// BIP-173 / BIP-350 decoding: { prefix, words, encoding: 'bech32' | 'bech32m' } or null
+function bech32Decode(text) {
+	if (text !== text.toLowerCase() && text !== text.toUpperCase()) return null;
+	const lower = text.toLowerCase();
+	const separator = lower.lastIndexOf('1');
+	if (separator < 1 || separator + 7 > lower.length || lower.length > 90) return null;
+	const prefix = lower.slice(0, separator);
+	const words = [];
+	for (const char of lower.slice(separator + 1)) {
+		const word = BECH32_CHARSET.indexOf(char);
+		if (word === -1) return null;
+		words.push(word);
+	}
+	const expanded = [...[...prefix].map((c) => c.charCodeAt(0) >> 5), 0, ...[...prefix].map((c) => c.charCodeAt(0) & 31)];
+	const checksum = bech32Polymod([...expanded, ...words]);
+	const encoding = checksum === 1 ? 'bech32' : checksum === BECH32M_CONST ? 'bech32m' : null;
+	if (!encoding) return null;
+	return { prefix, words: words.slice(0, -6), encoding };
+}
+
+// 5-bit words -> bytes; null when the padding is invalid
+function wordsToBytes(words) {
+	let accumulator = 0;
+	let bits = 0;
+	const bytes = [];
+	for (const word of words) {
+		accumulator = (accumulator << 5) | word;
+		bits += 5;
+		while (bits >= 8) {
+			bits -= 8;
+			bytes.push((accumulator >> bits) & 0xff);
+		}
+	}
+	if (bits >= 5 || ((accumulator << (8 - bits)) & 0xff)) return null;
+	return Uint8Array.from(bytes);
+}
+
+function invalid(reason, message) {
+	return { ok: false, reason, message };
+}
+
+// Solana public keys are 32 bytes, written as 32-44 base58 characters
+export function validateSolanaAddress(input) {
+	const value = (input || '').trim();
+	const bytes = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value) ? base58Decode(value) : null;
+	if (!bytes || bytes.length !== 32) {
+		return invalid('format', 'Invalid Solana address. Please submit a base58 public key (32-44 characters).');
+	}
+	if (bytes.every((b) => b === 0)) {
+		return invalid('burn', 'That is the Solana system program address, not a wallet. Please submit your own wallet.');
+	}
+	return { ok: true, address: value };
+}
+
+// Mainnet only: P2PKH (1...) and P2SH (3...) in base58check, SegWit v0 (bc1q...) in bech32
+// and Taproot and later versions (bc1p...) in bech32m
+export function validateBitcoinAddress(input) {
+	const value = (input || '').trim();
+	if (/^bc1/i.test(value)) {
+		const decoded = bech32Decode(value);
+		const version = decoded?.words[0];
+		const program = decoded ? wordsToBytes(decoded.words.slice(1)) : null;
+		const valid = decoded?.prefix === 'bc'
+			&& program && version <= 16
+			&& program.length >= 2 && program.length <= 40
+			&& (version === 0 ? decoded.encoding === 'bech32' && (program.length === 20 || program.length === 32) : decoded.encoding === 'bech32m');
+		if (!valid) return invalid('checksum', 'Invalid Bitcoin address. Please copy it again directly from your wallet.');
+		return { ok: true, address: value.toLowerCase() };
+	}
+	const bytes = /^[13][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(value) ? base58Decode(value) : null;
+	if (!bytes || bytes.length !== 25 || (bytes[0] !== 0x00 && bytes[0] !== 0x05)) {
+		return invalid('format', 'Invalid Bitcoin address. Please submit a mainnet address starting with bc1, 1 or 3.');
+	}
+	const checksum = sha256(sha256(bytes.slice(0, 21))).slice(0, 4);
+	if (checksum.some((b, i) => b !== bytes[21 + i])) {
+		return invalid('checksum', 'That Bitcoin address has an invalid checksum. Please copy it again directly from your wallet.');
+	}
+	return { ok: true, address: value };
+}
+
+// Cosmos SDK accounts: bech32 with the chain's prefix (cosmos, osmo, ...) over a 20- or 32-byte key hash
+export function validateCosmosAddress(input, prefix = 'cosmos') {
+	const value = (input || '').trim();
+	const decoded = bech32Decode(value);
+	const bytes = decoded?.encoding === 'bech32' ? wordsToBytes(decoded.words) : null;
+	if (!bytes || (bytes.length !== 20 && bytes.length !== 32)) {
+		return invalid('format', `Invalid ${prefix} address. Please submit a bech32 address starting with ${prefix}1.`);
+	}
+	if (decoded.prefix !== prefix) {
+		return invalid('prefix', `That address is for another chain (${decoded.prefix}1...). Please submit a ${prefix}1... address.`);
+	}
+	return { ok: true, address: value.toLowerCase() };
+}
+
+// options.cosmosPrefix: the bech32 prefix this server expects for Cosmos addresses
+export function validateChainAddress(chainId, input, { cosmosPrefix = 'cosmos' } = {}) {
+	if (chainId === 'evm') return validateEvmAddress(input);
+	if (chainId === 'solana') return validateSolanaAddress(input);
+	if (chainId === 'bitcoin') return validateBitcoinAddress(input);
+	if (chainId === 'cosmos') return validateCosmosAddress(input, cosmosPrefix);
+	return invalid('chain', `Unknown chain "${chainId}".`);
+}
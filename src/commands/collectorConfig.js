@@ -0,0 +1,157 @@
+import { ApplicationCommandOptionType, ChannelType, EmbedBuilder } from 'discord.js';
+import { getStore, getBackendName } from '../storage/index.js';
+import { formatTiers } from '../tiers.js';
+import { parseIdList, formatAdminAllowlist } from '../permissions.js';
+import { getGuildConfig, setGuildConfig, clearGuildConfig, isDefaultGuild, resolveGuild, getGuildTiers, getDuplicatePolicy, getMemberSyncMode, parseChainList, getWalletChains, getCosmosPrefix } from '../guildConfig.js';
+
+// Works before the server is set up, so it gets no store
+export const collectorConfig = {
+	admin: true,
+	requiresStore: false,
+	data: {
+		name: 'collector-config',
+		description: 'Configure where this server\'s wallets are stored',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'show',
+				description: 'Show this server\'s configuration',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'set',
+				description: 'Set this server\'s storage and submission settings',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'spreadsheet', description: 'Google Sheets spreadsheet ID or URL' },
+					{ type: ApplicationCommandOptionType.String, name: 'tab_prefix', description: 'Prefix added to every tier tab name', max_length: 50 },
+					{
+						type: ApplicationCommandOptionType.String,
+						name: 'duplicate_policy',
+						description: 'When a wallet is already used by another member',
+						choices: [
+							{ name: 'Reject the submission', value: 'reject' },
+							{ name: 'Allow but flag it', value: 'flag' },
+							{ name: 'Allow silently', value: 'allow' },
+						],
+					},
+					{
+						type: ApplicationCommandOptionType.String,
+						name: 'member_sync',
+						description: 'When a submitter gains/loses a tier role or leaves the server',
+						choices: [
+							{ name: 'Update or remove their row', value: 'apply' },
+							{ name: 'Only alert admins', value: 'flag' },
+							{ name: 'Do nothing', value: 'off' },
+						],
+					},
+					{ type: ApplicationCommandOptionType.Channel, name: 'alert_channel', description: 'Channel for admin alerts (flagged submissions)', channel_types: [ChannelType.GuildText] },
+					{ type: ApplicationCommandOptionType.String, name: 'chains', description: 'Other chains to collect besides EVM: solana, bitcoin, cosmos ("none" to clear)' },
+					{ type: ApplicationCommandOptionType.String, name: 'cosmos_prefix', description: 'bech32 prefix of Cosmos addresses (default: cosmos)', max_length: 20 },
+					{ type: ApplicationCommandOptionType.String, name: 'admin_roles', description: 'Roles allowed to use admin commands (mentions or IDs, "none" to clear)' },
+					{ type: ApplicationCommandOptionType.String, name: 'admin_users', description: 'Users allowed to use admin commands (mentions or IDs, "none" to clear)' },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'reset',
+				description: 'Forget this server\'s configuration and tiers',
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		if (sub === 'set') {
+			const spreadsheet = interaction.options.getString('spreadsheet');
+			const tabPrefix = interaction.options.getString('tab_prefix');
+			const duplicatePolicy = interaction.options.getString('duplicate_policy') ?? undefined;
+			const alertChannel = interaction.options.getChannel('alert_channel');
+			const memberSync = interaction.options.getString('member_sync') ?? undefined;
+			const adminRoles = interaction.options.getString('admin_roles');
+			const adminUsers = interaction.options.getString('admin_users');
+			const chainsText = interaction.options.getString('chains');
+			const cosmosPrefix = interaction.options.getString('cosmos_prefix');
+			const nothingSet = [spreadsheet, tabPrefix, adminRoles, adminUsers, chainsText, cosmosPrefix].every((value) => value === null);
+			if (nothingSet && !duplicatePolicy && !alertChannel && !memberSync) {
+				await interaction.editReply('Provide at least one setting to change.');
+				return;
+			}
+			// Accept either the bare ID or the full spreadsheet URL
+			const spreadsheetId = spreadsheet === null ? undefined : (spreadsheet.match(/\/d\/([\w-]+)/)?.[1] ?? spreadsheet.trim());
+			if (spreadsheetId !== undefined && !/^[\w-]{20,}$/.test(spreadsheetId)) {
+				await interaction.editReply('That does not look like a Google Sheets spreadsheet ID or URL.');
+				return;
+			}
+			// "none" clears the list and falls back to ADMIN_ROLE_IDS / ADMIN_USER_IDS or Manage Server
+			const parseAdmins = (text) => (text === null ? undefined : text.trim().toLowerCase() === 'none' ? null : parseIdList(text));
+			const adminRoleIds = parseAdmins(adminRoles);
+			const adminUserIds = parseAdmins(adminUsers);
+			if (adminRoleIds?.length === 0 || adminUserIds?.length === 0) {
+				await interaction.editReply('No role or user IDs found. Mention them or paste their IDs, or use `none` to clear the list.');
+				return;
+			}
+			let chains;
+			try {
+				chains = chainsText === null ? undefined : chainsText.trim().toLowerCase() === 'none' ? [] : parseChainList(chainsText);
+			} catch (err) {
+				await interaction.editReply(err.message);
+				return;
+			}
+			if (cosmosPrefix !== null && !/^[a-z][a-z0-9]*$/.test(cosmosPrefix.trim())) {
+				await interaction.editReply('The Cosmos prefix must be lowercase letters and digits, e.g. `cosmos` or `osmo`.');
+				return;
+			}
+			const patch = {
+				spreadsheetId,
+				tabPrefix: tabPrefix === null ? undefined : tabPrefix.trim(),
+				duplicatePolicy,
+				alertChannelId: alertChannel?.id,
+				memberSync,
+				adminRoleIds,
+				adminUserIds,
+				chains,
+				cosmosPrefix: cosmosPrefix === null ? undefined : cosmosPrefix.trim(),
+			};
+			const next = { ...getGuildConfig(interaction.guildId) };
+			for (const [key, value] of Object.entries(patch)) if (value !== undefined) next[key] = value;
+			const separated = next.tabPrefix || (getBackendName() === 'sheets' && next.spreadsheetId);
+			if (!isDefaultGuild(interaction.guildId) && !separated) {
+				await interaction.editReply('Set a tab prefix (or, with Google Sheets, a spreadsheet) so this server\'s wallets stay separate from other servers.');
+				return;
+			}
+			await setGuildConfig(interaction.guildId, patch);
+			try {
+				await getStore(interaction.guildId).ensureSetup();
+			} catch (err) {
+				console.error('Storage setup failed after /collector-config:', err);
+				await interaction.editReply(`Saved, but the storage could not be prepared: ${err.message}\nMake sure the spreadsheet is shared with ${process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || 'the service account'} as Editor.`);
+				return;
+			}
+		} else if (sub === 'reset') {
+			const existed = await clearGuildConfig(interaction.guildId);
+			if (!existed) {
+				await interaction.editReply('This server has no saved configuration.');
+				return;
+			}
+		}
+		const config = getGuildConfig(interaction.guildId);
+		const embed = new EmbedBuilder()
+			.setTitle('Collector Configuration')
+			.addFields(
+				{ name: 'Storage', value: getBackendName(), inline: true },
+				{ name: 'Spreadsheet', value: config?.spreadsheetId || 'Default (environment)', inline: true },
+				{ name: 'Tab Prefix', value: config?.tabPrefix ? `\`${config.tabPrefix}\`` : 'None', inline: true },
+				{ name: 'Duplicate Wallets', value: getDuplicatePolicy(interaction.guildId), inline: true },
+				{ name: 'Alert Channel', value: config?.alertChannelId ? `<#${config.alertChannelId}>` : 'None', inline: true },
+				{ name: 'Member Sync', value: getMemberSyncMode(interaction.guildId), inline: true },
+				{ name: 'Admins', value: formatAdminAllowlist(interaction.guildId), inline: true },
+				{ name: 'Chains', value: ['EVM', ...getWalletChains(interaction.guildId).map((c) => (c.id === 'cosmos' ? `Cosmos (\`${getCosmosPrefix(interaction.guildId)}1...\`)` : c.label))].join(', '), inline: true },
+				{ name: 'Tiers', value: `${Array.isArray(config?.tiers) ? 'Server-specific' : 'Default'}\n${formatTiers(getGuildTiers(interaction.guildId))}` },
+			)
+			.setColor(0x2b2d31);
+		await interaction.editReply({
+			content: resolveGuild(interaction.guildId) ? null : 'This server is not set up yet. Use `/collector-config set`.',
+			embeds: [embed],
+		});
+	},
+};
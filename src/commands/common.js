@@ -0,0 +1,9 @@
+// Tier options autocomplete from this server's tier labels
+export async function autocompleteTierLabel(interaction, { store }) {
+	const focused = interaction.options.getFocused().toLowerCase();
+	const choices = store.getTiers()
+		.filter((t) => t.label.toLowerCase().includes(focused))
+		.slice(0, 25)
+		.map((t) => ({ name: t.label, value: t.label }));
+	await interaction.respond(choices);
+}
@@ -0,0 +1,52 @@
+import { ApplicationCommandOptionType, AttachmentBuilder } from 'discord.js';
+import { buildExport } from '../export.js';
+import { findTierByLabel } from '../tiers.js';
+import { CHAINS, getChain } from '../chains.js';
+import { autocompleteTierLabel } from './common.js';
+
+export const exportWallets = {
+	admin: true,
+	data: {
+		name: 'export-wallets',
+		description: 'Export submitted wallets as a file',
+		options: [
+			{ type: ApplicationCommandOptionType.String, name: 'tier', description: 'Only this tier (default: all)', autocomplete: true },
+			{
+				type: ApplicationCommandOptionType.String,
+				name: 'format',
+				description: 'File format (default: CSV)',
+				choices: [
+					{ name: 'CSV', value: 'csv' },
+					{ name: 'JSON', value: 'json' },
+					{ name: 'Plain list of addresses', value: 'txt' },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.String,
+				name: 'chain',
+				description: 'Which address to export (default: EVM)',
+				choices: CHAINS.map((c) => ({ name: c.label, value: c.id })),
+			},
+			{ type: ApplicationCommandOptionType.Boolean, name: 'dedupe', description: 'Keep each address only once (default: false)' },
+		],
+	},
+	autocomplete: autocompleteTierLabel,
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const tierLabel = interaction.options.getString('tier');
+		const tier = tierLabel ? findTierByLabel(store.getTiers(), tierLabel) : null;
+		if (tierLabel && !tier) {
+			await interaction.editReply(`No tier labelled "${tierLabel}".`);
+			return;
+		}
+		const format = interaction.options.getString('format') ?? 'csv';
+		const dedupe = interaction.options.getBoolean('dedupe') ?? false;
+		const chain = getChain(interaction.options.getString('chain') ?? 'evm');
+		const result = buildExport(await store.listWalletsWithRow(), { tier, format, dedupe, chain: chain.id });
+		const file = new AttachmentBuilder(Buffer.from(result.content), { name: result.filename });
+		await interaction.editReply({
+			content: `Exported ${result.count} ${chain.label} wallet(s)${tier ? ` from ${tier.label}` : ''}${dedupe ? ', deduplicated by address' : ''}.`,
+			files: [file],
+		});
+	},
+};
@@ -0,0 +1,37 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { enqueueJob, getQueuePosition } from '../jobs.js';
+import { AIRDROP_TAG_LABEL, findTagByLabel } from '../tags.js';
+import { getGuildConfig, getGuildTagDefinitions } from '../guildConfig.js';
+
+// Tags are filled by a background job, using the same member scan as /refresh-wallet-roles
+export const fillMonadAirdropRole = {
+	admin: true,
+	data: {
+		name: 'fill-monad-airdrop-role',
+		description: 'Tag stored members who hold the Monad Airdrop role (or another tag\'s role)',
+		options: [
+			{ type: ApplicationCommandOptionType.String, name: 'tag', description: `Tag to fill (default: ${AIRDROP_TAG_LABEL})`, autocomplete: true },
+		],
+	},
+	async autocomplete(interaction) {
+		const focused = interaction.options.getFocused().toLowerCase();
+		const choices = getGuildTagDefinitions(interaction.guildId)
+			.filter((t) => t.label.toLowerCase().includes(focused))
+			.slice(0, 25)
+			.map((t) => ({ name: t.label, value: t.label }));
+		await interaction.respond(choices);
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const label = interaction.options.getString('tag') ?? AIRDROP_TAG_LABEL;
+		const tag = findTagByLabel(getGuildTagDefinitions(interaction.guildId), label);
+		if (!tag) {
+			await interaction.editReply(`No tag labelled "${label}". Add it with \`/tags add\` (or set MONAD_AIRDROP_ROLE_ID for the airdrop tag).`);
+			return;
+		}
+		const channelId = getGuildConfig(interaction.guildId)?.alertChannelId || interaction.channelId;
+		const job = await enqueueJob({ guildId: interaction.guildId, type: 'tags', createdBy: interaction.user.id, options: { channelId, tag } });
+		const position = getQueuePosition(job);
+		await interaction.editReply(`Filling tag ${tag.label} as job #${job.id}${position > 1 ? ` (position ${position}; one job runs at a time)` : ''}. Members with <@&${tag.roleId}> get the tag and members without it lose it. Live progress is posted in <#${channelId}>.`);
+	},
+};
@@ -0,0 +1,56 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { enqueueJob, getQueuePosition } from '../jobs.js';
+import { getGuildConfig } from '../guildConfig.js';
+import { parseImportFile } from '../imports.js';
+
+// Larger files are rejected before download
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+export const importWallets = {
+	admin: true,
+	data: {
+		name: 'import-wallets',
+		description: 'Import a CSV or JSON list of Discord IDs and EVM wallets',
+		options: [
+			{ type: ApplicationCommandOptionType.Attachment, name: 'file', description: 'CSV with Discord ID and wallet columns, or JSON [{ discordId, wallet }]', required: true },
+			{
+				type: ApplicationCommandOptionType.String,
+				name: 'conflict',
+				description: 'Rows whose member has another wallet stored or whose wallet is taken (default: skip)',
+				choices: [
+					{ name: 'Skip them', value: 'skip' },
+					{ name: 'Overwrite', value: 'overwrite' },
+					{ name: 'Import and flag them in the report', value: 'flag' },
+				],
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const attachment = interaction.options.getAttachment('file', true);
+		if (attachment.size > MAX_IMPORT_BYTES) {
+			await interaction.editReply(`The file is too large (${Math.ceil(attachment.size / 1024)} KB). Split it into files of at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`);
+			return;
+		}
+		let rows;
+		try {
+			const response = await fetch(attachment.url);
+			if (!response.ok) throw new Error(`Could not download the file (HTTP ${response.status}).`);
+			rows = parseImportFile(attachment.name, await response.text());
+		} catch (err) {
+			await interaction.editReply(err.message);
+			return;
+		}
+
+		const conflict = interaction.options.getString('conflict') ?? 'skip';
+		// Progress goes to the alert channel if one is set, otherwise to this channel
+		const channelId = getGuildConfig(interaction.guildId)?.alertChannelId || interaction.channelId;
+		const job = await enqueueJob({ guildId: interaction.guildId, type: 'import', createdBy: interaction.user.id, options: { channelId, conflict, fileName: attachment.name, rows } });
+		const invalid = rows.filter((row) => row.error).length;
+		const position = getQueuePosition(job);
+		await interaction.editReply([
+			`Read ${rows.length} row(s) from \`${attachment.name}\`${invalid > 0 ? ` (${invalid} invalid, listed in the report)` : ''}.`,
+			`Import queued as job #${job.id}${position > 1 ? ` (position ${position}; one job runs at a time)` : ''}. Live progress and the per-row report are posted in <#${channelId}>.`,
+		].join('\n'));
+	},
+};
@@ -0,0 +1,85 @@
+import 'dotenv/config';
+import { REST, Routes } from 'discord.js';
+import { ADMIN_COMMAND_PERMISSIONS } from '../permissions.js';
+import { listConfiguredGuildIds } from '../guildConfig.js';
+import { submitWalletSetup } from './submitWalletSetup.js';
+import { submissions } from './submissions.js';
+import { refreshWalletRoles, pruneNoPriorityRoles } from './maintenanceJobs.js';
+import { jobs } from './jobs.js';
+import { schedule } from './schedule.js';
+import { normalizeWallets } from './normalizeWallets.js';
+import { wallet } from './wallet.js';
+import { walletHistory } from './walletHistory.js';
+import { walletDuplicates } from './walletDuplicates.js';
+import { walletStats } from './walletStats.js';
+import { sheetDoctor } from './sheetDoctor.js';
+import { exportWallets } from './exportWallets.js';
+import { importWallets } from './importWallets.js';
+import { snapshot } from './snapshot.js';
+import { tiers } from './tiers.js';
+import { tags } from './tags.js';
+import { fillMonadAirdropRole } from './fillMonadAirdropRole.js';
+import { collectorConfig } from './collectorConfig.js';
+
+// The one list of slash commands, used by the bot at startup and by `npm run register`.
+// Each command is { data, admin, requiresStore, execute(interaction, { store }), autocomplete? }:
+//   data          the definition sent to Discord (name, description, options)
+//   admin         registered with Manage Server as the default permission and checked against
+//                 the admin allowlist on every call (see permissions.js)
+//   requiresStore false for commands that must work before the server is set up (store is then null)
+const COMMANDS = [
+	submitWalletSetup,
+	submissions,
+	refreshWalletRoles,
+	pruneNoPriorityRoles,
+	jobs,
+	schedule,
+	normalizeWallets,
+	wallet,
+	walletHistory,
+	walletDuplicates,
+	walletStats,
+	sheetDoctor,
+	exportWallets,
+	importWallets,
+	snapshot,
+	tiers,
+	tags,
+	fillMonadAirdropRole,
+	collectorConfig,
+];
+
+const commandsByName = new Map(COMMANDS.map((command) => [command.data.name, command]));
+
+export function getCommand(name) {
+	return commandsByName.get(name) || null;
+}
+
+export function getCommandDefinitions() {
+	return COMMANDS.map((command) => ({
+		...command.data,
+		...(command.admin && { default_member_permissions: ADMIN_COMMAND_PERMISSIONS, dm_permission: false }),
+	}));
+}
+
+// Servers that get guild-scoped commands: GUILD_ID, GUILD_IDS (comma-separated) and every configured server
+export function getCommandGuildIds() {
+	const ids = [process.env.GUILD_ID, ...(process.env.GUILD_IDS || '').split(','), ...listConfiguredGuildIds()];
+	return [...new Set(ids.map((id) => id?.trim()).filter(Boolean))];
+}
+
+// Guild-scoped if any server IDs are known, otherwise global. Guild configs must be loaded first.
+export async function registerCommands({ token, clientId }) {
+	const body = getCommandDefinitions();
+	const rest = new REST({ version: '10' }).setToken(token);
+	const guildIds = getCommandGuildIds();
+	if (guildIds.length > 0) {
+		for (const guildId of guildIds) {
+			await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body });
+		}
+		console.log(`Guild commands registered in ${guildIds.length} server(s).`);
+	} else {
+		await rest.put(Routes.applicationCommands(clientId), { body });
+		console.log('Global commands registered (may take up to 1 hour to appear).');
+	}
+}
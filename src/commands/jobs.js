@@ -0,0 +1,54 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { listJobs, cancelJob, resumeJob, getJobTypeLabel } from '../jobs.js';
+import { formatJobProgress } from '../jobMessages.js';
+
+export const jobs = {
+	admin: true,
+	data: {
+		name: 'jobs',
+		description: 'Manage background refresh/prune jobs',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'list',
+				description: 'Show recent jobs',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'cancel',
+				description: 'Cancel a queued or running job (nothing is written)',
+				options: [
+					{ type: ApplicationCommandOptionType.Integer, name: 'id', description: 'Job number', required: true },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'resume',
+				description: 'Re-queue a failed or cancelled job',
+				options: [
+					{ type: ApplicationCommandOptionType.Integer, name: 'id', description: 'Job number', required: true },
+				],
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		if (sub === 'list') {
+			const guildJobs = listJobs(interaction.guildId).slice(0, 10);
+			if (guildJobs.length === 0) {
+				await interaction.editReply('No jobs yet.');
+				return;
+			}
+			await interaction.editReply(guildJobs.map((job) => `#${job.id} ${getJobTypeLabel(job.type)} — **${job.status}** — ${formatJobProgress(job)}`).join('\n'));
+			return;
+		}
+		try {
+			const id = interaction.options.getInteger('id', true);
+			const job = sub === 'cancel' ? await cancelJob(interaction.guildId, id) : await resumeJob(interaction.guildId, id);
+			await interaction.editReply(sub === 'cancel' ? `Cancelling job #${job.id}. Nothing is written once it stops.` : `Job #${job.id} re-queued; members already checked are not fetched again.`);
+		} catch (err) {
+			await interaction.editReply(err.message);
+		}
+	},
+};
@@ -0,0 +1,44 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { enqueueJob, getJobTypeLabel, getQueuePosition } from '../jobs.js';
+import { getGuildConfig } from '../guildConfig.js';
+
+// /refresh-wallet-roles and /prune-no-priority-roles only queue a background job (see jobs.js)
+const dryRunOption = {
+	type: ApplicationCommandOptionType.Boolean,
+	name: 'dry_run',
+	description: 'Only report what would change and ask for confirmation (default: true)',
+	required: false,
+};
+
+async function queueMaintenanceJob(interaction, type) {
+	await interaction.deferReply({ ephemeral: true });
+	// Progress goes to the alert channel if one is set, otherwise to this channel
+	const channelId = getGuildConfig(interaction.guildId)?.alertChannelId || interaction.channelId;
+	const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+	const job = await enqueueJob({ guildId: interaction.guildId, type, createdBy: interaction.user.id, options: { channelId, dryRun } });
+	const position = getQueuePosition(job);
+	await interaction.editReply([
+		`${getJobTypeLabel(type)}${dryRun ? ' (dry run)' : ''} queued as job #${job.id}${position > 1 ? ` (position ${position}; one job runs at a time)` : ''}. Live progress is posted in <#${channelId}>.`,
+		dryRun ? 'Nothing is written until the preview is confirmed there.' : '',
+	].filter(Boolean).join('\n'));
+}
+
+export const refreshWalletRoles = {
+	admin: true,
+	data: {
+		name: 'refresh-wallet-roles',
+		description: 'Re-check every stored role against current member roles (consistency check)',
+		options: [dryRunOption],
+	},
+	execute: (interaction) => queueMaintenanceJob(interaction, 'refresh'),
+};
+
+export const pruneNoPriorityRoles = {
+	admin: true,
+	data: {
+		name: 'prune-no-priority-roles',
+		description: 'Remove sheet entries for users without any priority role',
+		options: [dryRunOption],
+	},
+	execute: (interaction) => queueMaintenanceJob(interaction, 'prune'),
+};
@@ -0,0 +1,35 @@
+import { AttachmentBuilder } from 'discord.js';
+import { validateEvmAddress } from '../address.js';
+import { toCsv } from '../export.js';
+
+export const normalizeWallets = {
+	admin: true,
+	data: {
+		name: 'normalize-wallets',
+		description: 'Rewrite stored wallets in checksummed form and report invalid ones',
+	},
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const items = await store.listWalletsWithRow();
+		const updates = [];
+		const invalid = [];
+		for (const item of items) {
+			const validation = validateEvmAddress(item.wallet);
+			if (!validation.ok) {
+				invalid.push([item.sheetName, item.rowNumber, item.discordUsername, item.discordId, item.wallet, validation.reason]);
+			} else if (validation.address !== item.wallet) {
+				updates.push({ sheetName: item.sheetName, rowNumber: item.rowNumber, discordId: item.discordId, wallet: validation.address });
+			}
+		}
+		const { updated, missing = [] } = await store.batchUpdateWallets(updates, { actorType: 'admin', actorId: interaction.user.id });
+		const skipped = missing.length > 0 ? `, ${missing.length} skipped (row moved or removed meanwhile)` : '';
+		const summary = `Checked ${items.length} row(s): ${updated} normalized, ${items.length - updates.length - invalid.length} already canonical, ${invalid.length} invalid${skipped}.`;
+		if (invalid.length === 0) {
+			await interaction.editReply(summary);
+			return;
+		}
+		// Listed in a file, since the rows hold whatever was typed and would not fit in a message
+		const file = new AttachmentBuilder(Buffer.from(toCsv(['Tab', 'Row', 'Discord Username', 'Discord ID', 'Wallet', 'Reason'], invalid)), { name: 'invalid-wallets.csv' });
+		await interaction.editReply({ content: `${summary}\nThe invalid rows were left unchanged and are listed in the attached file.`, files: [file] });
+	},
+};
@@ -0,0 +1,105 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { getGuildConfig, getSchedules, setSchedules } from '../guildConfig.js';
+import { SCHEDULED_TASKS, getNextRun } from '../schedules.js';
+import { parseCron } from '../cron.js';
+
+const taskOption = {
+	type: ApplicationCommandOptionType.String,
+	name: 'task',
+	description: 'What to run',
+	required: true,
+	choices: Object.entries(SCHEDULED_TASKS).map(([value, { label }]) => ({ name: label, value })),
+};
+
+function formatSchedule(task, schedule) {
+	const { label, modes } = SCHEDULED_TASKS[task];
+	const next = getNextRun(schedule);
+	const mode = modes ? (schedule.mode === 'apply' ? ' · applies changes' : ' · report only') : '';
+	return `**${label}** \`${schedule.cron}\`${mode} · next ${next ? `<t:${Math.floor(next / 1000)}:R>` : 'never (invalid expression)'}`;
+}
+
+function channelNote(guildId) {
+	const channelId = getGuildConfig(guildId)?.alertChannelId;
+	return channelId
+		? `Results are posted in <#${channelId}>.`
+		: '⚠️ No alert channel is set, so scheduled runs are skipped. Set one with `/collector-config set alert_channel`.';
+}
+
+export const schedule = {
+	admin: true,
+	data: {
+		name: 'schedule',
+		description: 'Run role refresh, prune and backups automatically on a cron schedule (UTC)',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'list',
+				description: 'Show the schedules of this server',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'set',
+				description: 'Schedule a task',
+				options: [
+					taskOption,
+					{ type: ApplicationCommandOptionType.String, name: 'cron', description: 'Cron expression in UTC, e.g. "0 3 * * *" (daily at 03:00) or "@weekly"', required: true, max_length: 100 },
+					{
+						type: ApplicationCommandOptionType.String,
+						name: 'mode',
+						description: 'Refresh and prune: only report for review, or apply the changes (default: report)',
+						choices: [
+							{ name: 'Report only (confirm in the alert channel)', value: 'report' },
+							{ name: 'Apply changes', value: 'apply' },
+						],
+					},
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'remove',
+				description: 'Stop running a task on a schedule',
+				options: [taskOption],
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		const schedules = { ...getSchedules(interaction.guildId) };
+
+		if (sub === 'set') {
+			const task = interaction.options.getString('task', true);
+			const mode = interaction.options.getString('mode');
+			let cron;
+			try {
+				cron = parseCron(interaction.options.getString('cron', true));
+			} catch (err) {
+				await interaction.editReply(err.message);
+				return;
+			}
+			schedules[task] = { cron: cron.expression, ...(SCHEDULED_TASKS[task].modes && { mode: mode || 'report' }) };
+			await setSchedules(interaction.guildId, schedules);
+			await interaction.editReply(`${formatSchedule(task, schedules[task])}\n${channelNote(interaction.guildId)}`);
+			return;
+		}
+
+		if (sub === 'remove') {
+			const task = interaction.options.getString('task', true);
+			if (!schedules[task]) {
+				await interaction.editReply(`${SCHEDULED_TASKS[task].label} is not scheduled.`);
+				return;
+			}
+			delete schedules[task];
+			await setSchedules(interaction.guildId, schedules);
+			await interaction.editReply(`${SCHEDULED_TASKS[task].label} will no longer run on a schedule.`);
+			return;
+		}
+
+		const lines = Object.entries(schedules)
+			.filter(([task]) => SCHEDULED_TASKS[task])
+			.map(([task, value]) => formatSchedule(task, value));
+		await interaction.editReply(lines.length > 0
+			? `${lines.join('\n')}\n\n${channelNote(interaction.guildId)}`
+			: 'Nothing is scheduled. Use `/schedule set` to run refresh, prune or backups automatically.');
+	},
+};
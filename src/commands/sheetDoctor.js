@@ -0,0 +1,30 @@
+import { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { scanSheet, summarizeIssues, buildDoctorReport } from '../sheetDoctor.js';
+
+// The scan reply, also used to show what is left after a fix (see the sheet_doctor buttons in bot.js)
+export function buildDoctorReply({ issues, tabs, rows }, intro = '') {
+	const lines = [intro, `Scanned ${rows} row(s) in ${tabs} tab(s): ${issues.length === 0 ? 'no problems found.' : `${issues.length} problem(s).`}`, ...summarizeIssues(issues)];
+	const payload = { content: lines.filter(Boolean).join('\n'), files: [], attachments: [], components: [] };
+	if (issues.length === 0) return payload;
+	payload.files = [new AttachmentBuilder(Buffer.from(buildDoctorReport(issues), 'utf8'), { name: 'sheet-doctor.csv' })];
+	if (issues.some((i) => i.fixable)) {
+		payload.content += '\n\nFix automatically? Blank rows are deleted, duplicates merged into the newest row and rows moved to their tier tab. Rows are checked again before anything is written.';
+		payload.components = [new ActionRowBuilder().addComponents(
+			new ButtonBuilder().setCustomId('sheet_doctor_fix').setLabel('Fix automatically').setStyle(ButtonStyle.Danger),
+			new ButtonBuilder().setCustomId('sheet_doctor_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+		)];
+	}
+	return payload;
+}
+
+export const sheetDoctor = {
+	admin: true,
+	data: {
+		name: 'sheet-doctor',
+		description: 'Check every tier tab for hand-made inconsistencies and offer to fix them',
+	},
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		await interaction.editReply(buildDoctorReply(await scanSheet(store, interaction.guildId)));
+	},
+};
@@ -0,0 +1,104 @@
+import { ApplicationCommandOptionType, AttachmentBuilder } from 'discord.js';
+import { createSnapshot, listSnapshots, publishSnapshot, getPublishedSnapshot, buildProofFile, parseAllocations } from '../snapshots.js';
+import { findTierByLabel } from '../tiers.js';
+import { toCsv } from '../export.js';
+import { autocompleteTierLabel } from './common.js';
+
+// Length of the snapshot lines in /snapshot list, leaving room in Discord's 2000 characters for the last line
+const LIST_MAX_LENGTH = 1900;
+
+export const snapshot = {
+	admin: true,
+	data: {
+		name: 'snapshot',
+		description: 'Freeze allowlist snapshots with a Merkle root and proofs',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'create',
+				description: 'Snapshot the current wallets and compute the Merkle root',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'tier', description: 'Only this tier (default: all)', autocomplete: true },
+					{ type: ApplicationCommandOptionType.String, name: 'allocations', description: 'Per-tier amounts, e.g. Monadian=3,Monarch=2 (adds uint256 amount to leaves)' },
+					{ type: ApplicationCommandOptionType.Boolean, name: 'publish', description: 'Publish right away so members see their proof (default: false)' },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'publish',
+				description: 'Publish a snapshot so members can see their proof in Check Status',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'id', description: 'Snapshot ID', required: true },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'list',
+				description: 'List stored snapshots',
+			},
+		],
+	},
+	autocomplete: autocompleteTierLabel,
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		if (sub === 'list') {
+			const [snapshots, published] = await Promise.all([listSnapshots(interaction.guildId), getPublishedSnapshot(interaction.guildId)]);
+			if (snapshots.length === 0) {
+				await interaction.editReply('No snapshots yet.');
+				return;
+			}
+			// Newest first with shortened roots while they fit in one message; the file has every snapshot in full
+			const lines = [];
+			for (const snap of snapshots) {
+				const line = `\`${snap.id}\` ${snap.tier ?? 'all tiers'}, ${snap.entries.length} wallet(s), root \`${snap.root.slice(0, 10)}…${snap.root.slice(-6)}\`${snap.id === published?.id ? ' **(published)**' : ''}`;
+				if ([...lines, line].join('\n').length > LIST_MAX_LENGTH) break;
+				lines.push(line);
+			}
+			if (lines.length < snapshots.length) lines.push(`…and ${snapshots.length - lines.length} older snapshot(s), listed in the attached file.`);
+			const file = new AttachmentBuilder(Buffer.from(toCsv(
+				['ID', 'Created At', 'Tier', 'Wallets', 'Root', 'Published'],
+				snapshots.map((snap) => [snap.id, snap.createdAt, snap.tier ?? 'all tiers', snap.entries.length, snap.root, snap.id === published?.id ? 'yes' : '']),
+			)), { name: 'snapshots.csv' });
+			await interaction.editReply({ content: lines.join('\n'), files: [file] });
+			return;
+		}
+		let snapshot;
+		let skippedCount = 0;
+		try {
+			if (sub === 'create') {
+				const tierLabel = interaction.options.getString('tier');
+				const tier = tierLabel ? findTierByLabel(store.getTiers(), tierLabel) : null;
+				if (tierLabel && !tier) throw new Error(`No tier labelled "${tierLabel}".`);
+				const allocationsText = interaction.options.getString('allocations');
+				const result = await createSnapshot(interaction.guildId, {
+					items: await store.listWalletsWithRow(),
+					tiers: store.getTiers(),
+					tier,
+					allocations: allocationsText ? parseAllocations(allocationsText) : null,
+					createdBy: interaction.user.id,
+				});
+				snapshot = result.snapshot;
+				skippedCount = result.skipped.length;
+				if (interaction.options.getBoolean('publish')) await publishSnapshot(interaction.guildId, snapshot.id);
+			} else {
+				snapshot = await publishSnapshot(interaction.guildId, interaction.options.getString('id', true).trim());
+			}
+		} catch (err) {
+			await interaction.editReply(err.message);
+			return;
+		}
+		const published = (await getPublishedSnapshot(interaction.guildId))?.id === snapshot.id;
+		const file = new AttachmentBuilder(Buffer.from(JSON.stringify(buildProofFile(snapshot), null, 2)), { name: `proofs-${snapshot.id}.json` });
+		await interaction.editReply({
+			content: [
+				`Snapshot \`${snapshot.id}\`: ${snapshot.entries.length} wallet(s)${snapshot.tier ? ` from ${snapshot.tier}` : ''}.`,
+				`Merkle root: \`${snapshot.root}\``,
+				`Leaves: \`${snapshot.leafEncoding}\``,
+				...(skippedCount > 0 ? [`Skipped ${skippedCount} row(s) with invalid addresses.`] : []),
+				published ? 'Published: members can see their proof in Check Status.' : 'Not published yet. Use `/snapshot publish` when ready.',
+			].join('\n'),
+			files: [file],
+		});
+	},
+};
@@ -0,0 +1,91 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { getSubmissionWindow, setSubmissionWindow, getPanels } from '../guildConfig.js';
+import { SUBMISSION_STATUS, getSubmissionState, formatSubmissionState, parseWindowTime } from '../submissionWindow.js';
+import { refreshPanels } from '../panels.js';
+
+export const submissions = {
+	admin: true,
+	data: {
+		name: 'submissions',
+		description: 'Open, close or freeze wallet submissions',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'status',
+				description: 'Show whether submissions are open',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'open',
+				description: 'Open submissions now or at a set time, optionally until a deadline',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'opens_at', description: 'Start time: "2026-11-01 18:00" (UTC), Unix timestamp or delay like "2h" (default: now)' },
+					{ type: ApplicationCommandOptionType.String, name: 'closes_at', description: 'Deadline, same formats (default: no deadline)' },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'close',
+				description: 'Stop accepting new submissions (members who submitted can still update or remove)',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'freeze',
+				description: 'Block every change by members (e.g. after a snapshot); Check Status keeps working',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'unfreeze',
+				description: 'Lift the freeze and go back to the open/close schedule',
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		const current = getSubmissionWindow(interaction.guildId);
+
+		if (sub !== 'status') {
+			let next;
+			if (sub === 'open') {
+				const opensText = interaction.options.getString('opens_at');
+				const closesText = interaction.options.getString('closes_at');
+				let opensAt = null;
+				let closesAt = null;
+				try {
+					if (opensText) opensAt = parseWindowTime(opensText);
+					if (closesText) closesAt = parseWindowTime(closesText);
+				} catch (err) {
+					await interaction.editReply(err.message);
+					return;
+				}
+				if (closesAt && closesAt <= Math.max(opensAt ?? 0, Date.now())) {
+					await interaction.editReply('The deadline must be in the future and after the start time.');
+					return;
+				}
+				next = {
+					open: true,
+					...(opensAt && opensAt > Date.now() && { opensAt: new Date(opensAt).toISOString() }),
+					...(closesAt && { closesAt: new Date(closesAt).toISOString() }),
+					...(current.frozen && { frozen: true }),
+				};
+			} else if (sub === 'close') {
+				next = { open: false, ...(current.frozen && { frozen: true }) };
+			} else {
+				next = { ...current, frozen: sub === 'freeze' };
+				if (!next.frozen) delete next.frozen;
+			}
+			await setSubmissionWindow(interaction.guildId, next);
+			await refreshPanels(interaction.client, interaction.guildId);
+		}
+
+		const state = getSubmissionState(interaction.guildId);
+		const notes = [];
+		if (sub === 'open' && state.status === SUBMISSION_STATUS.FROZEN) notes.push('Submissions are still frozen; run `/submissions unfreeze` to let members submit.');
+		const panels = getPanels(interaction.guildId).length;
+		notes.push(panels > 0
+			? `${panels} panel(s) show this state.`
+			: 'No panel is being kept up to date yet; post one with `/submit-wallet-setup` (older panels are picked up the first time a member uses them).');
+		await interaction.editReply(`${formatSubmissionState(state)}\n\n${notes.join('\n')}`);
+	},
+};
@@ -0,0 +1,13 @@
+import { buildPanelMessage, trackPanel } from '../panels.js';
+
+export const submitWalletSetup = {
+	admin: true,
+	data: {
+		name: 'submit-wallet-setup',
+		description: 'Post the wallet submission message in this channel',
+	},
+	async execute(interaction) {
+		const message = await interaction.reply({ ...buildPanelMessage(interaction.guildId), fetchReply: true });
+		await trackPanel(interaction.guildId, message);
+	},
+};
@@ -0,0 +1,57 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { addTagDefinition, removeTagDefinition, formatTagDefinitions } from '../tags.js';
+import { getGuildTagDefinitions, setGuildTagDefinitions } from '../guildConfig.js';
+
+export const tags = {
+	admin: true,
+	data: {
+		name: 'tags',
+		description: 'Manage secondary tags (airdrop eligibility, badges) stored next to the tier',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'list',
+				description: 'Show the configured tags',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'add',
+				description: 'Add a tag backed by a Discord role',
+				options: [
+					{ type: ApplicationCommandOptionType.Role, name: 'role', description: 'Members with this role get the tag', required: true },
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Label stored in the Tags column', required: true, max_length: 50 },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'remove',
+				description: 'Remove a tag',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Tag label', required: true },
+				],
+			},
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		const current = getGuildTagDefinitions(interaction.guildId);
+		let note = '';
+		try {
+			if (sub === 'add') {
+				const role = interaction.options.getRole('role', true);
+				const label = interaction.options.getString('label', true).trim();
+				await setGuildTagDefinitions(interaction.guildId, addTagDefinition(current, { roleId: role.id, label }));
+				note = `\n\nRun \`/fill-monad-airdrop-role tag:${label}\` to tag members who already submitted.`;
+			} else if (sub === 'remove') {
+				const { definitions, removed } = removeTagDefinition(current, interaction.options.getString('label', true).trim());
+				await setGuildTagDefinitions(interaction.guildId, definitions);
+				note = `\n\nRemoved tag ${removed.label}. Rows that already carry it keep it.`;
+			}
+		} catch (err) {
+			await interaction.editReply(err.message);
+			return;
+		}
+		await interaction.editReply({ content: formatTagDefinitions(getGuildTagDefinitions(interaction.guildId)) + note, allowedMentions: { parse: [] } });
+	},
+};
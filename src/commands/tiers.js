@@ -0,0 +1,90 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { addTier, removeTier, reorderTier, setTierCap, formatTiers } from '../tiers.js';
+import { getGuildTiers, setGuildTiers } from '../guildConfig.js';
+import { promoteWaitlist, formatCapUsage } from '../waitlist.js';
+
+export const tiers = {
+	admin: true,
+	data: {
+		name: 'tiers',
+		description: 'Manage priority tiers (role, label, tab, priority)',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'list',
+				description: 'Show the configured tiers',
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'add',
+				description: 'Add a priority tier',
+				options: [
+					{ type: ApplicationCommandOptionType.Role, name: 'role', description: 'Discord role for this tier', required: true },
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Label stored in the Role column', required: true },
+					{ type: ApplicationCommandOptionType.String, name: 'tab', description: 'Sheet tab for this tier', required: true },
+					{ type: ApplicationCommandOptionType.Integer, name: 'priority', description: '1 is highest (default: lowest)', min_value: 1 },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'remove',
+				description: 'Remove a priority tier',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Tier label', required: true },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'reorder',
+				description: 'Move a tier to a new priority',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Tier label', required: true },
+					{ type: ApplicationCommandOptionType.Integer, name: 'priority', description: '1 is highest', required: true, min_value: 1 },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'cap',
+				description: 'Limit how many members a tier takes; anyone added once it is full joins a waitlist',
+				options: [
+					{ type: ApplicationCommandOptionType.String, name: 'label', description: 'Tier label', required: true },
+					{ type: ApplicationCommandOptionType.Integer, name: 'limit', description: 'Maximum rows in the tier\'s tab (omit to remove the cap)', min_value: 1 },
+				],
+			},
+		],
+	},
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		const current = getGuildTiers(interaction.guildId);
+		let note = '';
+		try {
+			if (sub === 'add') {
+				const role = interaction.options.getRole('role', true);
+				const label = interaction.options.getString('label', true).trim();
+				const tab = interaction.options.getString('tab', true).trim();
+				const priority = interaction.options.getInteger('priority') ?? undefined;
+				await setGuildTiers(interaction.guildId, addTier(current, { roleId: role.id, label, tab, priority }));
+				await store.ensureSetup();
+			} else if (sub === 'remove') {
+				const { tiers: next, removed } = removeTier(current, interaction.options.getString('label', true).trim());
+				await setGuildTiers(interaction.guildId, next);
+				note = `\n\nRemoved tier ${removed.label}. Rows already in tab \`${removed.tab}\` are left in place but no longer read.`;
+			} else if (sub === 'reorder') {
+				const next = reorderTier(current, interaction.options.getString('label', true).trim(), interaction.options.getInteger('priority', true));
+				await setGuildTiers(interaction.guildId, next);
+			} else if (sub === 'cap') {
+				const next = setTierCap(current, interaction.options.getString('label', true).trim(), interaction.options.getInteger('limit'));
+				await setGuildTiers(interaction.guildId, next);
+				// A raised or removed cap frees slots for the waitlist straight away
+				const promoted = await promoteWaitlist(interaction.guild, store);
+				if (promoted > 0) note = `\n\nPromoted ${promoted} member(s) from the waitlist.`;
+			}
+		} catch (err) {
+			await interaction.editReply(err.message);
+			return;
+		}
+		const usage = await formatCapUsage(interaction.guildId, store);
+		await interaction.editReply(formatTiers(getGuildTiers(interaction.guildId)) + (usage ? `\n\n${usage}` : '') + note);
+	},
+};
@@ -0,0 +1,195 @@
+import { ApplicationCommandOptionType } from 'discord.js';
+import { validateEvmAddress } from '../address.js';
+import { findWalletConflicts } from '../duplicates.js';
+import { findTierByLabel, getHighestTierForRoles } from '../tiers.js';
+import { fetchMember } from '../members.js';
+import { buildWalletEmbed } from '../walletEmbed.js';
+import { promoteWaitlist, writeOrWaitlist } from '../waitlist.js';
+import { autocompleteTierLabel } from './common.js';
+
+// Manual fixes for one member. Every change goes through the store (upsertWallet/deleteWallet),
+// so a member still ends up in exactly one tab and the change is audited with the admin as actor.
+// Like submissions, set and retier respect tier caps: a member moved into a full tier is waitlisted.
+const MAX_LOOKUP_RESULTS = 10;
+
+function usernameOf(user) {
+	return `${user.username}#${user.discriminator ?? ''}`.replace(/#$/, '');
+}
+
+function waitlistedReply(user, result, existing) {
+	const row = result.removed ? ` Their ${existing.role} entry was removed.` : existing ? ` Their ${existing.role || 'current'} entry stays until then.` : '';
+	return `${result.tier.label} is full: <@${user.id}> was put on its waitlist at position ${result.position} of ${result.size}.${row}`;
+}
+
+// Rows holding this address as their EVM wallet (any case) or as one of their other-chain addresses
+function findRowsByAddress(items, address) {
+	const key = address.trim().toLowerCase();
+	return items.filter((item) => item.wallet?.toLowerCase() === key
+		|| Object.values(item.addresses || {}).some((value) => value && value.toLowerCase() === key));
+}
+
+export const wallet = {
+	admin: true,
+	data: {
+		name: 'wallet',
+		description: 'Look up or fix the stored wallet of a member',
+		options: [
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'lookup',
+				description: 'Find a stored entry by member or by address',
+				options: [
+					{ type: ApplicationCommandOptionType.User, name: 'user', description: 'Member to look up' },
+					{ type: ApplicationCommandOptionType.String, name: 'wallet', description: 'Address to look up (EVM or another chain)', max_length: 100 },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'set',
+				description: 'Store an EVM wallet for a member',
+				options: [
+					{ type: ApplicationCommandOptionType.User, name: 'user', description: 'Member', required: true },
+					{ type: ApplicationCommandOptionType.String, name: 'wallet', description: 'EVM address (0x...)', required: true, max_length: 100 },
+					{ type: ApplicationCommandOptionType.String, name: 'tier', description: 'Tier to file it under (default: current entry, then the member\'s roles)', autocomplete: true },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'remove',
+				description: 'Delete a member\'s stored entry',
+				options: [
+					{ type: ApplicationCommandOptionType.User, name: 'user', description: 'Member', required: true },
+				],
+			},
+			{
+				type: ApplicationCommandOptionType.Subcommand,
+				name: 'retier',
+				description: 'Move a member\'s entry to another tier regardless of their roles',
+				options: [
+					{ type: ApplicationCommandOptionType.User, name: 'user', description: 'Member', required: true },
+					{ type: ApplicationCommandOptionType.String, name: 'tier', description: 'Tier label', required: true, autocomplete: true },
+				],
+			},
+		],
+	},
+	autocomplete: autocompleteTierLabel,
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const sub = interaction.options.getSubcommand();
+		const actor = { actorType: 'admin', actorId: interaction.user.id };
+
+		if (sub === 'lookup') {
+			const user = interaction.options.getUser('user');
+			const address = interaction.options.getString('wallet');
+			if (!user && !address) {
+				await interaction.editReply('Provide a `user` or a `wallet` to look up.');
+				return;
+			}
+			const items = await store.listWalletsWithRow();
+			const matches = user
+				? items.filter((item) => item.discordId === user.id)
+				: findRowsByAddress(items, address);
+			if (matches.length === 0) {
+				await interaction.editReply({ content: `No stored entry for ${user ? `<@${user.id}>` : `\`${address.trim()}\``}.`, allowedMentions: { parse: [] } });
+				return;
+			}
+			// A member in several rows means the sheet was edited by hand; /wallet-duplicates lists them all
+			const note = user && matches.length > 1 ? `⚠️ <@${user.id}> has ${matches.length} rows. Run \`/wallet-duplicates\` to review them.` : '';
+			const more = matches.length > MAX_LOOKUP_RESULTS ? `Showing ${MAX_LOOKUP_RESULTS} of ${matches.length} matches.` : '';
+			await interaction.editReply({
+				content: [note, more].filter(Boolean).join('\n') || undefined,
+				embeds: matches.slice(0, MAX_LOOKUP_RESULTS).map((item) => buildWalletEmbed(item, { title: 'Stored Wallet', location: item })),
+				allowedMentions: { parse: [] },
+			});
+			return;
+		}
+
+		const user = interaction.options.getUser('user', true);
+		const existing = await store.getWallet(user.id);
+
+		if (sub === 'set') {
+			const validation = validateEvmAddress(interaction.options.getString('wallet', true));
+			if (!validation.ok) {
+				await interaction.editReply(validation.message);
+				return;
+			}
+			const tierLabel = interaction.options.getString('tier');
+			let role = existing?.role || '';
+			if (tierLabel) {
+				const tier = findTierByLabel(store.getTiers(), tierLabel);
+				if (!tier) {
+					await interaction.editReply(`No tier labelled "${tierLabel}".`);
+					return;
+				}
+				role = tier.label;
+			} else if (!role) {
+				const member = await fetchMember(interaction.guild, user.id);
+				role = getHighestTierForRoles(store.getTiers(), new Set(member?.roles.cache.keys() ?? []))?.label ?? '';
+			}
+			if (!role) {
+				await interaction.editReply(`<@${user.id}> has no tier role. Pass a \`tier\` to store the wallet anyway.`);
+				return;
+			}
+			// Admins may override the duplicate policy, but should know when they do
+			const conflicts = findWalletConflicts(await store.listWalletsWithRow(), user.id, validation.address);
+			const record = {
+				discordId: user.id,
+				discordUsername: existing?.discordUsername || usernameOf(user),
+				wallet: validation.address,
+				role,
+			};
+			const result = await writeOrWaitlist(store, interaction.guild.id, record, () => store.upsertWallet(record, actor), actor);
+			if (result.action === 'waitlisted') {
+				await interaction.editReply({ content: waitlistedReply(user, result, existing), allowedMentions: { parse: [] } });
+				return;
+			}
+			const warning = conflicts.length > 0
+				? `\n⚠️ Also stored for ${conflicts.map((c) => `<@${c.discordId}> (${c.sheetName}!${c.rowNumber})`).join(', ')}.`
+				: '';
+			await interaction.editReply({
+				content: `Wallet ${result.action === 'updated' ? 'updated' : 'saved'} for <@${user.id}>.${warning}`,
+				embeds: [buildWalletEmbed(await store.getWallet(user.id), { title: 'Stored Wallet' })],
+				allowedMentions: { parse: [] },
+			});
+			return;
+		}
+
+		if (!existing) {
+			await interaction.editReply({ content: `<@${user.id}> has no stored wallet.`, allowedMentions: { parse: [] } });
+			return;
+		}
+
+		if (sub === 'remove') {
+			await store.deleteWallet(user.id, actor);
+			const promoted = await promoteWaitlist(interaction.guild, store);
+			await interaction.editReply({
+				content: `Removed the entry of <@${user.id}>.${promoted > 0 ? ' The next member on the waitlist took the slot.' : ''}`,
+				embeds: [buildWalletEmbed(existing, { title: 'Removed Wallet' }).setColor(0xe74c3c)],
+				allowedMentions: { parse: [] },
+			});
+			return;
+		}
+
+		if (sub === 'retier') {
+			const tierLabel = interaction.options.getString('tier', true);
+			const tier = findTierByLabel(store.getTiers(), tierLabel);
+			if (!tier) {
+				await interaction.editReply(`No tier labelled "${tierLabel}".`);
+				return;
+			}
+			const record = { ...existing, role: tier.label };
+			const result = await writeOrWaitlist(store, interaction.guild.id, record, () => store.upsertWallet(record, actor), actor);
+			await promoteWaitlist(interaction.guild, store);
+			if (result.action === 'waitlisted') {
+				await interaction.editReply({ content: waitlistedReply(user, result, existing), allowedMentions: { parse: [] } });
+				return;
+			}
+			// Refresh and member sync follow Discord roles, so they will undo this unless the roles match
+			await interaction.editReply({
+				content: `<@${user.id}> moved from ${existing.role || '—'} to ${tier.label}. Role refreshes and member sync follow Discord roles and may move them back.`,
+				embeds: [buildWalletEmbed(await store.getWallet(user.id), { title: 'Stored Wallet' })],
+				allowedMentions: { parse: [] },
+			});
+		}
+	},
+};
@@ -0,0 +1,22 @@
+import { AttachmentBuilder } from 'discord.js';
+import { findDuplicates, formatDuplicateReport } from '../duplicates.js';
+
+export const walletDuplicates = {
+	admin: true,
+	data: {
+		name: 'wallet-duplicates',
+		description: 'List wallets shared by several members and members stored more than once',
+	},
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const items = await store.listWalletsWithRow();
+		const report = findDuplicates(items);
+		const summary = `Scanned ${items.length} row(s): ${report.sharedWallets.length} shared wallet(s), ${report.duplicateIds.length} duplicated Discord ID(s).`;
+		if (report.sharedWallets.length === 0 && report.duplicateIds.length === 0) {
+			await interaction.editReply(summary);
+			return;
+		}
+		const file = new AttachmentBuilder(Buffer.from(formatDuplicateReport(report)), { name: 'wallet-duplicates.txt' });
+		await interaction.editReply({ content: summary, files: [file] });
+	},
+};
@@ -0,0 +1,31 @@
+import { ApplicationCommandOptionType, AttachmentBuilder, EmbedBuilder } from 'discord.js';
+import { readAudit, formatAuditEntry } from '../audit.js';
+
+export const walletHistory = {
+	admin: true,
+	data: {
+		name: 'wallet-history',
+		description: 'Show the wallet change history of a member',
+		options: [
+			{ type: ApplicationCommandOptionType.User, name: 'user', description: 'Member to look up', required: true },
+		],
+	},
+	async execute(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const user = interaction.options.getUser('user', true);
+		const entries = await readAudit(interaction.guildId, { discordId: user.id });
+		if (entries.length === 0) {
+			await interaction.editReply({ content: `No recorded changes for <@${user.id}>.`, allowedMentions: { parse: [] } });
+			return;
+		}
+		const embed = new EmbedBuilder()
+			.setTitle(`Wallet History — ${user.username}`)
+			.setDescription(entries.slice(0, 15).map(formatAuditEntry).join('\n').slice(0, 4000))
+			.setFooter({ text: `${entries.length} change(s)${entries.length > 15 ? ', showing the latest 15; full history attached' : ''}` })
+			.setColor(0x2b2d31);
+		const files = entries.length > 15
+			? [new AttachmentBuilder(Buffer.from(JSON.stringify(entries, null, 2)), { name: `wallet-history-${user.id}.json` })]
+			: [];
+		await interaction.editReply({ embeds: [embed], files });
+	},
+};
@@ -0,0 +1,30 @@
+import { ApplicationCommandOptionType, AttachmentBuilder } from 'discord.js';
+import { collectStats, buildStatsEmbed, buildStatsReport } from '../stats.js';
+import { countWaitlist } from '../waitlist.js';
+
+export const walletStats = {
+	admin: true,
+	data: {
+		name: 'wallet-stats',
+		description: 'Show wallet counts per tier, recent submissions, lost roles and duplicates',
+		options: [
+			{ type: ApplicationCommandOptionType.Boolean, name: 'csv', description: 'Attach a per-day CSV breakdown (default: false)' },
+		],
+	},
+	async execute(interaction, { store }) {
+		await interaction.deferReply({ ephemeral: true });
+		const items = await store.listWalletsWithRow();
+		// One gateway request for the whole member list instead of one fetch per row
+		let members = null;
+		try {
+			members = await interaction.guild.members.fetch();
+		} catch (err) {
+			console.warn(`Could not fetch members of ${interaction.guildId} for stats:`, err?.message || err);
+		}
+		const stats = collectStats({ items, tiers: store.getTiers(), members, waiting: await countWaitlist(interaction.guildId) });
+		const files = interaction.options.getBoolean('csv')
+			? [new AttachmentBuilder(Buffer.from(buildStatsReport(stats), 'utf8'), { name: 'wallet-stats.csv' })]
+			: [];
+		await interaction.editReply({ embeds: [buildStatsEmbed(stats)], files });
+	},
+};
@@ -0,0 +1,84 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Fields take *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/10); day of week is
+// 0-7 with Sunday as 0 or 7. @hourly, @daily, @weekly and @monthly are accepted as shorthands.
+const FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'day of month', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12 },
+	{ name: 'day of week', min: 0, max: 7 },
+];
+
+const SHORTHANDS = {
+	'@hourly': '0 * * * *',
+	'@daily': '0 0 * * *',
+	'@weekly': '0 0 * * 0',
+	'@monthly': '0 0 1 * *',
+};
+
+const MINUTE_MS = 60 * 1000;
+// Far enough to reach a 29 February
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+function parseField(text, { name, min, max }, expression) {
+	const values = new Set();
+	for (const item of text.split(',')) {
+		const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+		if (!match) throw new Error(`Invalid ${name} "${item}" in \`${expression}\`.`);
+		const [, star, start, end, step] = match;
+		const from = star ? min : Number(start);
+		// "5/15" means from 5 to the end of the range, every 15
+		const to = star ? max : end !== undefined ? Number(end) : step ? max : from;
+		const every = step ? Number(step) : 1;
+		if (from < min || to > max || from > to || every < 1) {
+			throw new Error(`Invalid ${name} "${item}" in \`${expression}\` (allowed ${min}-${max}).`);
+		}
+		for (let value = from; value <= to; value += every) values.add(value);
+	}
+	return values;
+}
+
+// Throws with a message fit for the admin on anything that is not a valid expression
+export function parseCron(expression) {
+	const text = SHORTHANDS[expression.trim().toLowerCase()] ?? expression.trim();
+	const parts = text.split(/\s+/);
+	if (parts.length !== 5) {
+		throw new Error(`\`${expression}\` is not a cron expression. Use five fields (minute hour day month weekday), e.g. \`0 3 * * *\` for every day at 03:00 UTC.`);
+	}
+	const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+	if (weekdays.has(7)) weekdays.add(0);
+	const cron = { expression: text, minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+	if (nextCronRun(cron, Date.now()) === null) throw new Error(`\`${expression}\` never matches a date.`);
+	return cron;
+}
+
+function dayMatches(cron, date) {
+	const day = cron.days.has(date.getUTCDate());
+	const weekday = cron.weekdays.has(date.getUTCDay());
+	// As in standard cron, when both day fields are restricted either one may match
+	if (cron.anyDay) return weekday;
+	if (cron.anyWeekday) return day;
+	return day || weekday;
+}
+
+// The first matching minute after `after` (ms), or null if there is none within a few years
+export function nextCronRun(cron, after) {
+	const date = new Date(Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+	const limit = after + SEARCH_LIMIT_MS;
+	while (date.getTime() <= limit) {
+		if (!cron.months.has(date.getUTCMonth() + 1)) {
+			date.setUTCMonth(date.getUTCMonth() + 1, 1);
+			date.setUTCHours(0, 0);
+		} else if (!dayMatches(cron, date)) {
+			date.setUTCDate(date.getUTCDate() + 1);
+			date.setUTCHours(0, 0);
+		} else if (!cron.hours.has(date.getUTCHours())) {
+			date.setUTCHours(date.getUTCHours() + 1, 0);
+		} else if (!cron.minutes.has(date.getUTCMinutes())) {
+			date.setUTCMinutes(date.getUTCMinutes() + 1);
+		} else {
+			return date.getTime();
+		}
+	}
+	return null;
+}
@@ -0,0 +1,56 @@
+// Sybil checks over listWalletsWithRow() output: the same address under several Discord
+// accounts, and the same Discord account in several rows/tabs.
+
+export const DUPLICATE_POLICIES = ['reject', 'flag', 'allow'];
+
+function walletKey(wallet) {
+	return (wallet || '').trim().toLowerCase();
+}
+
+// Rows owned by other members that already hold this wallet
+export function findWalletConflicts(items, discordId, wallet) {
+	const key = walletKey(wallet);
+	if (!key) return [];
+	return items.filter((item) => item.discordId !== discordId && walletKey(item.wallet) === key);
+}
+
+function groupBy(items, keyFn) {
+	const groups = new Map();
+	for (const item of items) {
+		const key = keyFn(item);
+		if (!key) continue;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(item);
+	}
+	return groups;
+}
+
+export function findDuplicates(items) {
+	const sharedWallets = [];
+	for (const entries of groupBy(items, (item) => walletKey(item.wallet)).values()) {
+		if (new Set(entries.map((e) => e.discordId)).size > 1) {
+			sharedWallets.push({ wallet: entries[0].wallet, entries });
+		}
+	}
+	const duplicateIds = [];
+	for (const [discordId, entries] of groupBy(items, (item) => item.discordId).entries()) {
+		if (entries.length > 1) duplicateIds.push({ discordId, entries });
+	}
+	return { sharedWallets, duplicateIds };
+}
+
+function formatEntry(entry) {
+	return `  - ${entry.sheetName}!${entry.rowNumber} ${entry.discordUsername || '?'} (${entry.discordId}) ${entry.wallet}`;
+}
+
+export function formatDuplicateReport({ sharedWallets, duplicateIds }) {
+	const lines = [`Shared wallets: ${sharedWallets.length}`];
+	for (const { wallet, entries } of sharedWallets) {
+		lines.push(`${wallet} — ${entries.length} rows`, ...entries.map(formatEntry));
+	}
+	lines.push('', `Duplicated Discord IDs: ${duplicateIds.length}`);
+	for (const { discordId, entries } of duplicateIds) {
+		lines.push(`${discordId} — ${entries.length} rows`, ...entries.map(formatEntry));
+	}
+	return lines.join('\n');
+}
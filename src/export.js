@@ -0,0 +1,58 @@
+import { formatTags } from './tags.js';
+
+// Allowlist exports built from listWalletsWithRow() output
+
+export const EXPORT_FORMATS = ['csv', 'json', 'txt'];
+
+function csvCell(value) {
+	const text = String(value ?? '');
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+	return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Keep the first row for each address; items come in tier order, so the highest tier wins.
+// EVM addresses compare case-insensitively; base58 addresses (Solana, legacy Bitcoin) are case-sensitive.
+export function dedupeByWallet(items, { ignoreCase = true } = {}) {
+	const seen = new Set();
+	return items.filter((item) => {
+		const key = ignoreCase ? (item.wallet || '').toLowerCase() : item.wallet || '';
+		if (!key || seen.has(key)) return false;
+		seen.add(key);
+		return true;
+	});
+}
+
+// tier: a tier object ({ label, tab }) or null for every tier.
+// chain: which address goes in the wallet column; members without one for that chain are left out.
+export function buildExport(items, { tier = null, format = 'csv', dedupe = false, chain = 'evm' } = {}) {
+	let rows = chain === 'evm' ? items : items.map((item) => ({ ...item, wallet: item.addresses?.[chain] || '' }));
+	rows = rows.filter((item) => item.wallet);
+	if (tier) rows = rows.filter((item) => item.sheetName === tier.tab);
+	if (dedupe) rows = dedupeByWallet(rows, { ignoreCase: chain === 'evm' });
+
+	const tierSuffix = tier ? `-${tier.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '';
+	const baseName = `wallets${chain === 'evm' ? '' : `-${chain}`}${tierSuffix}`;
+	if (format === 'json') {
+		const data = rows.map((item) => ({
+			discordUsername: item.discordUsername,
+			discordId: item.discordId,
+			wallet: item.wallet,
+			chain,
+			role: item.role,
+			tags: item.tags ?? [],
+			tab: item.sheetName,
+		}));
+		return { count: rows.length, filename: `${baseName}.json`, content: JSON.stringify(data, null, 2) + '\n' };
+	}
+	if (format === 'txt') {
+		return { count: rows.length, filename: `${baseName}.txt`, content: rows.map((item) => item.wallet).join('\n') + '\n' };
+	}
+	const csv = toCsv(
+		['Discord Username', 'Discord ID', 'Wallet', 'Role', 'Tags', 'Tab'],
+		rows.map((item) => [item.discordUsername, item.discordId, item.wallet, item.role, formatTags(item.tags), item.sheetName]),
+	);
+	return { count: rows.length, filename: `${baseName}.csv`, content: csv };
+}
@@ -0,0 +1,172 @@
+import 'dotenv/config';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import { getDefaultTiers, normalizeTiers } from './tiers.js';
+import { getDefaultTagDefinitions, normalizeTagDefinitions } from './tags.js';
+import { EXTRA_CHAINS } from './chains.js';
+import { DUPLICATE_POLICIES } from './duplicates.js';
+
+// Per-server configuration, set with /collector-config, /tiers, /tags, /submissions and /schedule:
+//   { spreadsheetId, tabPrefix, tiers, tags, chains, cosmosPrefix, duplicatePolicy, alertChannelId, memberSync,
+//     adminRoleIds, adminUserIds, submissions, panels, schedules }
+// Unset fields fall back to the environment (GOOGLE_SHEETS_SPREADSHEET_ID, DUPLICATE_WALLET_POLICY,
+// MEMBER_SYNC_MODE, ADMIN_ROLE_IDS, ADMIN_USER_IDS, MONAD_AIRDROP_ROLE_ID, WALLET_CHAINS, COSMOS_PREFIX)
+// and the default tiers.
+const GUILD_CONFIG_FILE = process.env.GUILD_CONFIG_FILE || 'data/guilds.json';
+
+// The server that uses the environment defaults without running /collector-config.
+// When GUILD_ID is unset every unconfigured server shares them (single-server setups).
+export const DEFAULT_GUILD_ID = process.env.GUILD_ID || null;
+
+let guilds = {};
+let saveChain = Promise.resolve();
+
+export async function loadGuildConfigs() {
+	const stored = await readJsonFile(GUILD_CONFIG_FILE, {});
+	guilds = stored.guilds || {};
+	return guilds;
+}
+
+// Writes are chained so two saves never race on the same temp file
+function saveGuildConfigs() {
+	const write = saveChain.then(() => writeJsonFile(GUILD_CONFIG_FILE, { guilds }));
+	saveChain = write.catch(() => {});
+	return write;
+}
+
+export function listConfiguredGuildIds() {
+	return Object.keys(guilds);
+}
+
+export function getGuildConfig(guildId) {
+	return guilds[guildId] || null;
+}
+
+export async function setGuildConfig(guildId, patch) {
+	const next = { ...(guilds[guildId] || {}) };
+	for (const [key, value] of Object.entries(patch)) {
+		if (value === undefined) continue;
+		if (value === null || value === '') delete next[key];
+		else next[key] = value;
+	}
+	guilds[guildId] = next;
+	await saveGuildConfigs();
+	return next;
+}
+
+export async function clearGuildConfig(guildId) {
+	const existed = Boolean(guilds[guildId]);
+	delete guilds[guildId];
+	await saveGuildConfigs();
+	return existed;
+}
+
+export function isDefaultGuild(guildId) {
+	return !DEFAULT_GUILD_ID || guildId === DEFAULT_GUILD_ID;
+}
+
+// Effective settings for a server, or null if it has not been set up and is not the default server
+export function resolveGuild(guildId) {
+	if (!guildId) return null;
+	const config = guilds[guildId];
+	if (!config && !isDefaultGuild(guildId)) return null;
+	return {
+		guildId,
+		configured: Boolean(config),
+		spreadsheetId: config?.spreadsheetId || null,
+		tabPrefix: config?.tabPrefix || '',
+	};
+}
+
+export function getGuildTiers(guildId) {
+	const own = guilds[guildId]?.tiers;
+	return Array.isArray(own) ? own : getDefaultTiers();
+}
+
+export async function setGuildTiers(guildId, tiers) {
+	await setGuildConfig(guildId, { tiers: normalizeTiers(tiers) });
+	return getGuildTiers(guildId);
+}
+
+// Secondary tag definitions ({ roleId, label }, see tags.js)
+export function getGuildTagDefinitions(guildId) {
+	const own = guilds[guildId]?.tags;
+	return Array.isArray(own) ? own : getDefaultTagDefinitions();
+}
+
+export async function setGuildTagDefinitions(guildId, definitions) {
+	await setGuildConfig(guildId, { tags: normalizeTagDefinitions(definitions) });
+	return getGuildTagDefinitions(guildId);
+}
+
+// What to do when a submitted wallet already belongs to another member: reject, flag or allow
+export function getDuplicatePolicy(guildId) {
+	const policy = guilds[guildId]?.duplicatePolicy || process.env.DUPLICATE_WALLET_POLICY || 'flag';
+	return DUPLICATE_POLICIES.includes(policy) ? policy : 'flag';
+}
+
+export const MEMBER_SYNC_MODES = ['apply', 'flag', 'off'];
+
+// How gateway member events are handled: apply the change to the row, only flag it, or ignore it
+export function getMemberSyncMode(guildId) {
+	const mode = guilds[guildId]?.memberSync || process.env.MEMBER_SYNC_MODE || 'apply';
+	return MEMBER_SYNC_MODES.includes(mode) ? mode : 'apply';
+}
+
+// "solana, bitcoin" -> ['solana', 'bitcoin']; throws on chains we can't validate
+export function parseChainList(text) {
+	const ids = [...new Set((text || '').split(',').map((id) => id.trim().toLowerCase()).filter(Boolean))];
+	const unknown = ids.filter((id) => !EXTRA_CHAINS.some((c) => c.id === id));
+	if (unknown.length > 0) {
+		throw new Error(`Unknown chain(s): ${unknown.join(', ')}. Available: ${EXTRA_CHAINS.map((c) => c.id).join(', ')}.`);
+	}
+	return ids;
+}
+
+// Chains collected besides EVM, in column order
+export function getWalletChains(guildId) {
+	const own = guilds[guildId]?.chains;
+	let ids = own;
+	if (!Array.isArray(own)) {
+		try {
+			ids = parseChainList(process.env.WALLET_CHAINS);
+		} catch (err) {
+			console.error('Ignoring WALLET_CHAINS:', err.message);
+			ids = [];
+		}
+	}
+	return EXTRA_CHAINS.filter((c) => ids.includes(c.id));
+}
+
+// bech32 prefix expected for Cosmos addresses (cosmos, osmo, ...)
+export function getCosmosPrefix(guildId) {
+	return guilds[guildId]?.cosmosPrefix || process.env.COSMOS_PREFIX || 'cosmos';
+}
+
+// Submission window ({ open, opensAt, closesAt, frozen }, see submissionWindow.js)
+export function getSubmissionWindow(guildId) {
+	return guilds[guildId]?.submissions || {};
+}
+
+export async function setSubmissionWindow(guildId, window) {
+	await setGuildConfig(guildId, { submissions: window });
+	return getSubmissionWindow(guildId);
+}
+
+// Panels posted by /submit-wallet-setup, kept up to date with the submission window: [{ channelId, messageId }]
+export function getPanels(guildId) {
+	return guilds[guildId]?.panels || [];
+}
+
+export async function setPanels(guildId, panels) {
+	await setGuildConfig(guildId, { panels });
+}
+
+// Scheduled maintenance ({ refresh, prune, backup }, see schedules.js)
+export function getSchedules(guildId) {
+	return guilds[guildId]?.schedules || {};
+}
+
+export async function setSchedules(guildId, schedules) {
+	await setGuildConfig(guildId, { schedules: Object.keys(schedules).length > 0 ? schedules : null });
+	return getSchedules(guildId);
+}
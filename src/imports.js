@@ -0,0 +1,250 @@
+import { validateEvmAddress } from './address.js';
+import { findWalletConflicts } from './duplicates.js';
+import { getHighestTierForRoles } from './tiers.js';
+import { scanMembers } from './maintenance.js';
+import { toCsv } from './export.js';
+import { writeOrWaitlist } from './waitlist.js';
+
+// Wallet lists imported with /import-wallets. The file is parsed when the command runs and the rows
+// are kept on a background job (see jobs.js), which looks up each member's current tier and saves the
+// row through upsertWallet like a submission, waitlisting members whose tier is full. conflict decides
+// what happens to rows whose member already has another wallet stored, or whose wallet belongs to
+// another member:
+//   skip       leave them out
+//   overwrite  import them anyway
+//   flag       import them and mark them in the report
+export const IMPORT_CONFLICT_POLICIES = ['skip', 'overwrite', 'flag'];
+export const MAX_IMPORT_ROWS = 5000;
+
+const DISCORD_ID = /^\d{17,20}$/;
+
+// Accepted column names (any case, spaces, dashes or underscores), including this bot's own exports
+const COLUMNS = {
+	discordId: ['discordid', 'id', 'userid', 'user'],
+	wallet: ['evmwallet', 'wallet', 'address', 'evmaddress', 'evm'],
+	discordUsername: ['discordusername', 'username', 'name'],
+};
+
+function columnKey(name) {
+	return String(name ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// The field separator, from the first line: ';' (spreadsheets in locales with a decimal comma) when it
+// has more semicolons than commas outside quotes, otherwise ','
+function detectDelimiter(text) {
+	const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+	const count = (char) => firstLine.split(char).length - 1;
+	return count(';') > count(',') ? ';' : ',';
+}
+
+// RFC 4180 CSV: quoted fields may hold the separator, quotes ("") and line breaks.
+// Returns [{ line, cells }] with the line number each record starts on.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+	const records = [];
+	let cells = [];
+	let cell = '';
+	let quoted = false;
+	let line = 1;
+	let start = 1;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				if (char === '\n') line++;
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === delimiter) {
+			cells.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			cells.push(cell);
+			records.push({ line: start, cells });
+			cells = [];
+			cell = '';
+			start = ++line;
+		} else {
+			cell += char;
+		}
+	}
+	if (cell || cells.length > 0) {
+		cells.push(cell);
+		records.push({ line: start, cells });
+	}
+	return records.filter(({ cells: c }) => c.some((value) => value.trim()));
+}
+
+function pickColumns(names) {
+	const keys = names.map(columnKey);
+	return Object.fromEntries(Object.entries(COLUMNS).map(([field, aliases]) => [field, keys.findIndex((k) => aliases.includes(k))]));
+}
+
+function csvRows(text) {
+	const records = parseCsv(text.replace(/^\uFEFF/, ''));
+	if (records.length === 0) return [];
+	// Without a header the first two columns are taken as Discord ID and wallet
+	const hasHeader = !DISCORD_ID.test(cleanId(records[0].cells[0]));
+	const columns = hasHeader ? pickColumns(records[0].cells) : { discordId: 0, wallet: 1, discordUsername: -1 };
+	if (columns.discordId === -1 || columns.wallet === -1) {
+		throw new Error('The CSV header needs a Discord ID column (`Discord ID`, `id`, ...) and a wallet column (`Wallet`, `EVM Wallet`, `address`, ...).');
+	}
+	return records.slice(hasHeader ? 1 : 0).map(({ line, cells }) => ({
+		line,
+		discordId: cells[columns.discordId] ?? '',
+		wallet: cells[columns.wallet] ?? '',
+		discordUsername: columns.discordUsername === -1 ? '' : cells[columns.discordUsername] ?? '',
+	}));
+}
+
+function jsonRows(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new Error('The file is not valid JSON.');
+	}
+	if (!Array.isArray(data)) throw new Error('The JSON file must be an array of `{ "discordId": "...", "wallet": "0x..." }` objects.');
+	return data.map((entry, i) => {
+		const fields = Object.fromEntries(Object.entries(entry && typeof entry === 'object' ? entry : {}).map(([key, value]) => [columnKey(key), value]));
+		const pick = (aliases) => String(aliases.map((a) => fields[a]).find((v) => v !== undefined && v !== null) ?? '');
+		return { line: i + 1, discordId: pick(COLUMNS.discordId), wallet: pick(COLUMNS.wallet), discordUsername: pick(COLUMNS.discordUsername) };
+	});
+}
+
+// "<@123>" and "123" are both accepted
+function cleanId(value) {
+	return String(value ?? '').trim().replace(/^<@!?(\d+)>$/, '$1');
+}
+
+// Parse an uploaded file into rows [{ line, discordId, wallet, discordUsername, error }].
+// line is the CSV line or the position in the JSON array; rows that can't be imported carry an error.
+export function parseImportFile(fileName, text) {
+	const raw = /\.json$/i.test(fileName) || /^\s*\[/.test(text) ? jsonRows(text) : csvRows(text);
+	if (raw.length === 0) throw new Error('The file has no rows.');
+	if (raw.length > MAX_IMPORT_ROWS) throw new Error(`The file has ${raw.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.`);
+	const seen = new Map();
+	return raw.map((row) => {
+		const discordId = cleanId(row.discordId);
+		const validation = validateEvmAddress(row.wallet.trim());
+		const parsed = { line: row.line, discordId, wallet: validation.ok ? validation.address : row.wallet.trim(), discordUsername: row.discordUsername.trim(), error: null };
+		if (!DISCORD_ID.test(discordId)) parsed.error = 'Not a Discord ID';
+		else if (!validation.ok) parsed.error = `Invalid wallet (${validation.reason})`;
+		else if (seen.has(discordId)) parsed.error = `Member already listed on line ${seen.get(discordId)}`;
+		if (!parsed.error) seen.set(discordId, row.line);
+		return parsed;
+	});
+}
+
+export const IMPORT_RESULTS = {
+	inserted: 'Imported',
+	updated: 'Updated',
+	unchanged: 'Unchanged',
+	flagged: 'Imported (flagged)',
+	waitlisted: 'Waitlisted (tier full)',
+	conflict: 'Skipped (conflict)',
+	no_tier: 'Skipped (no tier)',
+	invalid: 'Invalid',
+	failed: 'Failed',
+};
+
+const WRITTEN_RESULTS = new Set(['inserted', 'updated', 'flagged']);
+
+// Job body for imports. job.options: { rows, conflict }. Results are kept per line in ctx.state,
+// so a resumed job does not write a row twice.
+export async function runImportJob({ guild, store }, job, ctx) {
+	const { rows, conflict } = job.options;
+	const tiers = store.getTiers();
+	const valid = rows.filter((row) => !row.error);
+	const decisions = await scanMembers(guild, valid, ctx, (member) => ({
+		role: member ? getHighestTierForRoles(tiers, new Set(member.roles.cache.map((r) => r.id)))?.label ?? '' : '',
+		discordUsername: member ? `${member.user.username}#${member.user.discriminator ?? ''}`.replace(/#$/, '') : '',
+		member: Boolean(member),
+	}));
+	if (ctx.isCancelled()) return null;
+
+	ctx.state.results ??= {};
+	const results = ctx.state.results;
+	const items = await store.listWalletsWithRow();
+	const actor = { actorType: 'admin', actorId: job.createdBy, action: 'import' };
+	let written = Object.values(results).filter((r) => WRITTEN_RESULTS.has(r.status)).length;
+
+	for (const row of rows) {
+		if (ctx.isCancelled()) break;
+		// Failed rows are tried again when the job is resumed
+		if (results[row.line] && results[row.line].status !== 'failed') continue;
+		const decision = decisions[row.discordId];
+		let result;
+		if (row.error) {
+			result = { status: 'invalid', detail: row.error };
+		} else if (!decision) {
+			result = { status: 'failed', detail: 'Could not check the member\'s roles; resume the job to retry' };
+		} else if (!decision.role) {
+			result = { status: 'no_tier', detail: decision.member ? 'Member has no tier role' : 'Not a member of the server' };
+		} else {
+			const existing = items.find((item) => item.discordId === row.discordId);
+			const sameWallet = existing?.wallet.toLowerCase() === row.wallet.toLowerCase();
+			const notes = [];
+			if (existing?.wallet && !sameWallet) notes.push(`replaces ${existing.wallet}`);
+			const owners = findWalletConflicts(items, row.discordId, row.wallet);
+			if (owners.length > 0) notes.push(`wallet also stored for ${owners.map((o) => o.discordId).join(', ')}`);
+
+			if (sameWallet && existing.role === decision.role) {
+				result = { status: 'unchanged', role: decision.role };
+			} else if (notes.length > 0 && conflict === 'skip') {
+				result = { status: 'conflict', detail: notes.join('; '), role: decision.role };
+			} else {
+				try {
+					const record = {
+						discordId: row.discordId,
+						discordUsername: existing?.discordUsername || decision.discordUsername || row.discordUsername || row.discordId,
+						wallet: row.wallet,
+						role: decision.role,
+					};
+					const saved = await writeOrWaitlist(store, guild.id, record, () => store.upsertWallet(record, actor), actor);
+					const index = items.indexOf(existing);
+					if (saved.action === 'waitlisted') {
+						const kept = saved.removed ? `${existing.role} row removed` : existing ? `${existing.role || 'current'} row kept` : null;
+						result = { status: 'waitlisted', detail: [`${saved.tier.label} is full, position ${saved.position} of ${saved.size}`, kept, ...notes].filter(Boolean).join('; '), role: decision.role };
+						if (saved.removed) items.splice(index, 1);
+					} else {
+						const status = notes.length > 0 && conflict === 'flag' ? 'flagged' : saved.action;
+						result = { status, detail: notes.join('; '), role: decision.role };
+						// Later rows in the file see this one as stored
+						const item = { ...existing, discordId: row.discordId, wallet: row.wallet, role: decision.role };
+						if (index === -1) items.push(item);
+						else items[index] = item;
+					}
+				} catch (err) {
+					console.error(`Import job #${job.id} failed on line ${row.line}:`, err);
+					result = { status: 'failed', detail: err?.message || String(err) };
+				}
+			}
+		}
+		results[row.line] = result;
+		if (WRITTEN_RESULTS.has(result.status)) written++;
+		await ctx.progress({ updated: written });
+	}
+	const counts = {};
+	for (const { status } of Object.values(results)) counts[status] = (counts[status] || 0) + 1;
+	await ctx.progress({ failed: counts.failed || 0 });
+	return { counts };
+}
+
+// Per-row report attached to the finished job
+export function buildImportReport(job) {
+	const results = job.state.results || {};
+	return toCsv(
+		['Line', 'Discord ID', 'Wallet', 'Result', 'Tier', 'Details'],
+		job.options.rows.map((row) => {
+			const result = results[row.line];
+			return [row.line, row.discordId, row.wallet, result ? IMPORT_RESULTS[result.status] : 'Not processed', result?.role ?? '', result?.detail ?? ''];
+		}),
+	);
+}
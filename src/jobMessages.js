@@ -0,0 +1,151 @@
+import { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { getJobTypeLabel, getQueuePosition, onJobUpdate, setJobMessage, JOB_STATUS } from './jobs.js';
+import { buildPlanReport } from './maintenance.js';
+import { IMPORT_RESULTS, buildImportReport } from './imports.js';
+
+// The live progress message of each background job: an embed posted once in the job's channel and
+// edited as the job advances. Dry runs end with the plan report and Confirm/Cancel buttons.
+const JOB_COLORS = {
+	[JOB_STATUS.QUEUED]: 0x95a5a6,
+	[JOB_STATUS.RUNNING]: 0x3498db,
+	[JOB_STATUS.COMPLETED]: 0x2ecc71,
+	[JOB_STATUS.FAILED]: 0xe74c3c,
+	[JOB_STATUS.CANCELLED]: 0xe67e22,
+};
+
+export function isPendingReview(job) {
+	return job.status === JOB_STATUS.COMPLETED && job.result?.dryRun && !job.result.review;
+}
+
+export function formatJobProgress(job) {
+	const { processed, total, updated, moved, deleted, failed } = job.progress;
+	if (job.type === 'import') return `${processed}/${total} checked · ${updated} imported · ${failed} failed`;
+	if (job.type === 'backup') return job.result?.file ? `${job.result.rows} row(s) from ${job.result.tabs} tab(s) saved to ${job.result.file}` : `${processed}/${total} rows`;
+	if (job.options.dryRun) return `${processed}/${total} checked · would retag ${updated} · move ${moved} · remove ${deleted} · ${failed} failed`;
+	return `${processed}/${total} checked · ${updated} updated · ${moved} moved · ${deleted} removed · ${failed} failed`;
+}
+
+function formatReview(review) {
+	if (review.status === 'applying') return `Applying (confirmed by <@${review.by}>)…`;
+	if (review.status === 'discarded') return `Discarded by <@${review.by}>.`;
+	if (review.status === 'failed') return `Apply failed: ${review.error}`.slice(0, 1000);
+	return `Applied by <@${review.by}>: ${review.updated} updated, ${review.moved} moved, ${review.deleted} removed, ${review.skipped} skipped (changed since the preview)`
+		+ `${review.waitlisted > 0 ? `, ${review.waitlisted} waitlisted (tier full)` : ''}.`;
+}
+
+// Scheduled runs (see schedules.js) have no creator
+function startedBy(job) {
+	return job.createdBy ? `<@${job.createdBy}>` : 'Schedule';
+}
+
+function jobEmbed(job) {
+	const dryRun = Boolean(job.options.dryRun);
+	const embed = new EmbedBuilder()
+		.setTitle(`${getJobTypeLabel(job.type)}${dryRun ? ' (dry run)' : ''} — job #${job.id}`)
+		.setDescription(`Status: **${job.status}**${job.status === JOB_STATUS.QUEUED ? ` (position ${getQueuePosition(job)})` : ''}`)
+		.setColor(JOB_COLORS[job.status] ?? 0x2b2d31)
+		.setTimestamp(new Date(job.finishedAt || job.startedAt || job.createdAt));
+	if (job.type === 'import') {
+		embed.addFields(
+			{ name: 'Rows', value: String(job.options.rows.length), inline: true },
+			{ name: 'Members checked', value: `${job.progress.processed}/${job.progress.total}`, inline: true },
+			{ name: 'Imported', value: String(job.progress.updated), inline: true },
+			{ name: 'Conflicts', value: job.options.conflict, inline: true },
+			{ name: 'Started by', value: startedBy(job), inline: true },
+		);
+		const counts = job.result?.counts;
+		if (counts) embed.addFields({ name: 'Results', value: Object.entries(IMPORT_RESULTS).filter(([status]) => counts[status]).map(([status, label]) => `${label}: ${counts[status]}`).join('\n') || 'No rows processed.' });
+		if (job.error) embed.addFields({ name: 'Error', value: job.error.slice(0, 1000) });
+		return embed;
+	}
+	if (job.type === 'backup') {
+		embed.addFields(
+			{ name: 'Rows', value: String(job.progress.total), inline: true },
+			{ name: 'Started by', value: startedBy(job), inline: true },
+		);
+		if (job.result?.file) embed.addFields({ name: 'File', value: `\`${job.result.file}\` (${job.result.tabs} tab(s))` });
+		if (job.error) embed.addFields({ name: 'Error', value: job.error.slice(0, 1000) });
+		return embed;
+	}
+	embed.addFields(
+		{ name: 'Processed', value: `${job.progress.processed}/${job.progress.total}`, inline: true },
+		{ name: dryRun ? 'Would retag' : 'Updated', value: String(job.progress.updated), inline: true },
+		{ name: dryRun ? 'Would move' : 'Moved', value: String(job.progress.moved), inline: true },
+		{ name: dryRun ? 'Would remove' : 'Removed', value: String(job.progress.deleted), inline: true },
+		{ name: 'Failed', value: String(job.progress.failed), inline: true },
+		{ name: 'Started by', value: startedBy(job), inline: true },
+	);
+	if (job.result?.waitlisted > 0) embed.addFields({ name: 'Waitlisted', value: `${job.result.waitlisted} member(s) moving into a full tier were put on its waitlist.` });
+	if (job.error) embed.addFields({ name: 'Error', value: job.error.slice(0, 1000) });
+	if (job.progress.failed > 0 && job.status === JOB_STATUS.COMPLETED) {
+		embed.addFields({ name: 'Note', value: 'Members that could not be fetched were left unchanged.' });
+	}
+	if (isPendingReview(job)) {
+		embed.addFields({ name: 'Review', value: job.result.changes.length > 0 ? 'Nothing has been written yet. Check the attached report, then confirm or cancel.' : 'Nothing to change.' });
+	} else if (job.result?.review) {
+		embed.addFields({ name: 'Review', value: formatReview(job.result.review) });
+	}
+	return embed;
+}
+
+function jobMessagePayload(job) {
+	const payload = { embeds: [jobEmbed(job)], allowedMentions: { parse: [] } };
+	if (isPendingReview(job) && job.result.changes.length > 0) {
+		payload.files = [new AttachmentBuilder(Buffer.from(buildPlanReport(job.result.changes), 'utf8'), { name: `${job.type}-job-${job.id}-preview.csv` })];
+		payload.attachments = [];
+		payload.components = [new ActionRowBuilder().addComponents(
+			new ButtonBuilder().setCustomId(`job_apply:${job.id}`).setLabel('Confirm').setStyle(ButtonStyle.Danger),
+			new ButtonBuilder().setCustomId(`job_discard:${job.id}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+		)];
+	} else {
+		payload.components = [];
+	}
+	// Finished imports carry their per-row report (also when cancelled or failed part-way)
+	if (job.type === 'import' && job.state.results && job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.QUEUED) {
+		payload.files = [new AttachmentBuilder(Buffer.from(buildImportReport(job), 'utf8'), { name: `import-job-${job.id}-report.csv` })];
+		payload.attachments = [];
+	}
+	return payload;
+}
+
+async function renderJobMessage(client, job) {
+	try {
+		const channelId = job.message?.channelId || job.options.channelId;
+		const channel = channelId ? await client.channels.fetch(channelId) : null;
+		if (!channel) return;
+		const payload = jobMessagePayload(job);
+		if (job.message?.messageId) {
+			const message = await channel.messages.fetch(job.message.messageId).catch(() => null);
+			if (message) {
+				await message.edit(payload);
+				return;
+			}
+		}
+		const message = await channel.send(payload);
+		await setJobMessage(job, { channelId: channel.id, messageId: message.id });
+	} catch (err) {
+		console.error(`Failed to update progress message for job #${job.id}:`, err);
+	}
+}
+
+// Renders for a job run one after another (so the message is only created once)
+// and edits are throttled while the job is running.
+export function watchJobMessages(client) {
+	const renders = new Map();
+	onJobUpdate((job) => {
+		const render = renders.get(job.id) || { pending: false, chain: Promise.resolve() };
+		renders.set(job.id, render);
+		if (render.pending) return;
+		render.pending = true;
+		const delay = job.status === JOB_STATUS.RUNNING && job.message ? 3000 : 0;
+		render.chain = render.chain
+			.then(() => new Promise((resolve) => setTimeout(resolve, delay)))
+			.then(() => {
+				render.pending = false;
+				return renderJobMessage(client, job);
+			})
+			.finally(() => {
+				if (!render.pending && job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.QUEUED) renders.delete(job.id);
+			});
+	});
+}
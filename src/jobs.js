@@ -0,0 +1,220 @@
+import 'dotenv/config';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+// Persistent background jobs (refresh, prune, tag fill, import, backup). Jobs run one at a time across all servers,
+// since they mutate storage; the rest wait in the queue. State is saved to JOBS_FILE as it
+// progresses, so a job interrupted by a restart is picked up again from where it stopped.
+const JOBS_FILE = process.env.JOBS_FILE || 'data/jobs.json';
+const MAX_FINISHED_JOBS = 100;
+const SAVE_INTERVAL_MS = 5000;
+
+export const JOB_STATUS = {
+	QUEUED: 'queued',
+	RUNNING: 'running',
+	COMPLETED: 'completed',
+	FAILED: 'failed',
+	CANCELLED: 'cancelled',
+};
+
+const FINISHED = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+const jobTypes = new Map();
+const listeners = [];
+let jobs = [];
+let nextId = 1;
+let running = null;
+// Waiting runExclusive() calls, run before the next queued job
+const exclusive = [];
+let lastSave = 0;
+let saveChain = Promise.resolve();
+
+export async function loadJobs() {
+	const stored = await readJsonFile(JOBS_FILE, {});
+	jobs = stored.jobs || [];
+	nextId = stored.nextId || jobs.reduce((max, j) => Math.max(max, j.id + 1), 1);
+	// Anything that was running when the process stopped goes back to the front of the queue
+	for (const job of jobs) {
+		if (job.status === JOB_STATUS.RUNNING) {
+			job.status = JOB_STATUS.QUEUED;
+			job.resumed = (job.resumed || 0) + 1;
+		}
+	}
+	return jobs;
+}
+
+// Writes are chained so two saves never race on the same temp file
+function saveJobs() {
+	const finished = jobs.filter((j) => FINISHED.has(j.status));
+	if (finished.length > MAX_FINISHED_JOBS) {
+		const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+		jobs = jobs.filter((j) => !drop.has(j));
+	}
+	lastSave = Date.now();
+	const write = saveChain.then(() => writeJsonFile(JOBS_FILE, { nextId, jobs }));
+	saveChain = write.catch(() => {});
+	return write;
+}
+
+// run(job, ctx) does the work. ctx.state is persisted with the job (use it to skip work already
+// done after a resume), ctx.progress(patch) updates counters, ctx.isCancelled() is checked between items.
+export function defineJobType(type, { label, run }) {
+	jobTypes.set(type, { label, run });
+}
+
+export function getJobTypeLabel(type) {
+	return jobTypes.get(type)?.label ?? type;
+}
+
+// listener(job) is called whenever a job's status or progress changes
+export function onJobUpdate(listener) {
+	listeners.push(listener);
+}
+
+function notify(job) {
+	for (const listener of listeners) {
+		Promise.resolve()
+			.then(() => listener(job))
+			.catch((err) => console.error('Job listener failed:', err));
+	}
+}
+
+export async function enqueueJob({ guildId, type, createdBy, options = {} }) {
+	if (!jobTypes.has(type)) throw new Error(`Unknown job type "${type}".`);
+	const job = {
+		id: nextId++,
+		guildId,
+		type,
+		options,
+		createdBy,
+		createdAt: new Date().toISOString(),
+		status: JOB_STATUS.QUEUED,
+		progress: { processed: 0, total: 0, updated: 0, moved: 0, deleted: 0, failed: 0 },
+		state: {},
+		message: null,
+	};
+	jobs.push(job);
+	await saveJobs();
+	notify(job);
+	runNext();
+	return job;
+}
+
+export function getJob(guildId, id) {
+	return jobs.find((j) => j.guildId === guildId && j.id === id) || null;
+}
+
+export function listJobs(guildId) {
+	return jobs.filter((j) => j.guildId === guildId).slice().reverse();
+}
+
+export function getQueuePosition(job) {
+	return jobs.filter((j) => j.status === JOB_STATUS.QUEUED).indexOf(job) + 1;
+}
+
+export async function setJobMessage(job, message) {
+	job.message = message;
+	await saveJobs();
+}
+
+// Merge into a finished job's result (e.g. the review of a dry run) and tell listeners
+export async function updateJobResult(job, patch) {
+	job.result = { ...job.result, ...patch };
+	await saveJobs();
+	notify(job);
+}
+
+export async function cancelJob(guildId, id) {
+	const job = getJob(guildId, id);
+	if (!job) throw new Error(`No job #${id}.`);
+	if (FINISHED.has(job.status)) throw new Error(`Job #${id} already ${job.status}.`);
+	job.cancelRequested = true;
+	if (job.status === JOB_STATUS.QUEUED) {
+		job.status = JOB_STATUS.CANCELLED;
+		job.finishedAt = new Date().toISOString();
+		await saveJobs();
+		notify(job);
+	}
+	return job;
+}
+
+// Re-queue a failed or cancelled job; it keeps the state saved so far
+export async function resumeJob(guildId, id) {
+	const job = getJob(guildId, id);
+	if (!job) throw new Error(`No job #${id}.`);
+	if (job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CANCELLED) {
+		throw new Error(`Job #${id} is ${job.status}; only failed or cancelled jobs can be resumed.`);
+	}
+	job.status = JOB_STATUS.QUEUED;
+	job.cancelRequested = false;
+	job.error = null;
+	job.finishedAt = null;
+	job.resumed = (job.resumed || 0) + 1;
+	await saveJobs();
+	notify(job);
+	runNext();
+	return job;
+}
+
+// Run fn in the job queue's slot: it starts once the running job is done, ahead of queued jobs, and no
+// job starts until it is done. For storage writes that are not jobs, e.g. applying a reviewed dry run.
+export function runExclusive(fn) {
+	return new Promise((resolve, reject) => {
+		exclusive.push({ fn, resolve, reject });
+		runNext();
+	});
+}
+
+export function runNext() {
+	if (running) return;
+	if (exclusive.length > 0) {
+		const { fn, resolve, reject } = exclusive.shift();
+		running = Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+			running = null;
+			runNext();
+		});
+		return;
+	}
+	const job = jobs.find((j) => j.status === JOB_STATUS.QUEUED);
+	if (!job) return;
+	running = runJob(job).catch((err) => {
+		console.error(`Job #${job.id} (${job.type}) could not be run:`, err);
+	}).finally(() => {
+		running = null;
+		runNext();
+	});
+}
+
+async function runJob(job) {
+	job.status = JOB_STATUS.RUNNING;
+	job.startedAt ??= new Date().toISOString();
+
+	const ctx = {
+		state: job.state,
+		isCancelled: () => Boolean(job.cancelRequested),
+		progress: async (patch) => {
+			Object.assign(job.progress, patch);
+			notify(job);
+			if (Date.now() - lastSave >= SAVE_INTERVAL_MS) await saveJobs();
+		},
+	};
+
+	// A failed save (disk full, no permission) fails the job instead of leaving it running
+	try {
+		await saveJobs();
+		notify(job);
+		const result = await jobTypes.get(job.type).run(job, ctx);
+		job.result = result ?? null;
+		job.status = job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+	} catch (err) {
+		console.error(`Job #${job.id} (${job.type}) failed:`, err);
+		job.status = JOB_STATUS.FAILED;
+		job.error = err?.message || String(err);
+	}
+	job.finishedAt = new Date().toISOString();
+	try {
+		await saveJobs();
+	} catch (err) {
+		console.error(`Could not save ${JOBS_FILE} after job #${job.id}:`, err);
+	}
+	notify(job);
+}
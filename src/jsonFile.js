@@ -0,0 +1,33 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Read a JSON file, returning `fallback` if it does not exist yet
+export async function readJsonFile(filePath, fallback) {
+	try {
+		const raw = await fs.readFile(filePath, 'utf8');
+		return JSON.parse(raw);
+	} catch (err) {
+		if (err?.code === 'ENOENT') return fallback;
+		throw err;
+	}
+}
+
+// Write via a temp file + rename so a crash never leaves a half-written file
+export async function writeJsonFile(filePath, data) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+	await fs.rename(tmpPath, filePath);
+}
+
+// Like writeJsonFile, but fails with EEXIST instead of replacing a file that is already there
+export async function createJsonFile(filePath, data) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { flag: 'wx' });
+	try {
+		await fs.link(tmpPath, filePath);
+	} finally {
+		await fs.unlink(tmpPath);
+	}
+}
@@ -0,0 +1,182 @@
+import { getHighestTierForRoles } from './tiers.js';
+import { getSheetNameForRole } from './storage/common.js';
+import { toCsv } from './export.js';
+import { hasTag, withTag } from './tags.js';
+import { fetchMember } from './members.js';
+import { promoteWaitlist, writeWithinCaps } from './waitlist.js';
+
+// Refresh, prune and tag job bodies (see jobs.js; imports.js and backups.js hold the others). Each first checks every stored member against
+// Discord with a small worker pool, then applies all changes in one storage call.
+const CONCURRENCY = 5;
+
+// decide(member) -> value stored per Discord ID in ctx.state.decisions. Members checked before
+// a restart are not fetched again; members whose fetch failed are retried on the next run.
+export async function scanMembers(guild, items, ctx, decide) {
+	ctx.state.decisions ??= {};
+	const decisions = ctx.state.decisions;
+	const queue = items.filter((item) => item.discordId && !(item.discordId in decisions));
+	let processed = items.length - queue.length;
+	let failed = 0;
+	await ctx.progress({ total: items.length, processed, failed });
+
+	const workers = Array.from({ length: CONCURRENCY }, async () => {
+		while (queue.length > 0 && !ctx.isCancelled()) {
+			const item = queue.shift();
+			try {
+				const member = await fetchMember(guild, item.discordId);
+				decisions[item.discordId] = decide(member);
+			} catch (err) {
+				failed++;
+				console.warn(`Could not fetch member ${item.discordId}:`, err?.message || err);
+			}
+			processed++;
+			await ctx.progress({ processed, failed });
+		}
+	});
+	await Promise.all(workers);
+	return decisions;
+}
+
+function memberRoleIds(member) {
+	return new Set(member?.roles?.cache?.map((r) => r.id) || []);
+}
+
+// A plan is the list of row changes a job would make. Dry runs stop at the plan, which an admin
+// reviews and then applies with applyPlan(); normal runs apply it straight away.
+//   { action: 'retag' | 'move' | 'delete', sheetName, rowNumber, discordId, discordUsername, wallet, oldRole, newRole, newSheet }
+export async function planRefresh({ guild, store }, ctx) {
+	const items = await store.listWalletsWithRow();
+	const tiers = store.getTiers();
+	const decisions = await scanMembers(guild, items, ctx, (member) => getHighestTierForRoles(tiers, memberRoleIds(member))?.label ?? '');
+	return items
+		.filter((item) => item.discordId in decisions && (item.role || '') !== decisions[item.discordId])
+		.map((item) => {
+			const newRole = decisions[item.discordId];
+			const newSheet = getSheetNameForRole(tiers, newRole);
+			const action = !newSheet ? 'delete' : newSheet !== item.sheetName ? 'move' : 'retag';
+			return { action, ...planRow(item), newRole, newSheet };
+		});
+}
+
+export async function planPrune({ guild, store }, ctx) {
+	const items = await store.listWalletsWithRow();
+	const tiers = store.getTiers();
+	const decisions = await scanMembers(guild, items, ctx, (member) => Boolean(getHighestTierForRoles(tiers, memberRoleIds(member))));
+	return items
+		.filter((item) => decisions[item.discordId] === false)
+		.map((item) => ({ action: 'delete', ...planRow(item), newRole: '', newSheet: null }));
+}
+
+function planRow(item) {
+	return {
+		sheetName: item.sheetName,
+		rowNumber: item.rowNumber,
+		discordId: item.discordId,
+		discordUsername: item.discordUsername,
+		wallet: item.wallet,
+		oldRole: item.role || '',
+	};
+}
+
+// Apply a plan against the rows as they are now. Rows are found again by tab and Discord ID, and a
+// row whose username, wallet or role differs from the plan is skipped: it changed after the plan was made.
+// Refresh moves into a full capped tier are waitlisted instead (see writeWithinCaps in waitlist.js).
+export async function applyPlan({ guild, store }, type, changes, actor) {
+	const current = new Map();
+	for (const item of await store.listWalletsWithRow()) {
+		const key = `${item.sheetName}:${item.discordId}`;
+		if (!current.has(key)) current.set(key, item);
+	}
+
+	const fresh = [];
+	let skipped = 0;
+	for (const change of changes) {
+		const item = current.get(`${change.sheetName}:${change.discordId}`);
+		if (!item || item.wallet !== change.wallet || (item.role || '') !== change.oldRole || item.discordUsername !== change.discordUsername) {
+			skipped++;
+			continue;
+		}
+		fresh.push({ ...item, newRole: change.newRole });
+	}
+
+	const result = { updated: 0, moved: 0, deleted: 0, skipped, waitlisted: 0 };
+	if (fresh.length === 0) return result;
+	if (type === 'prune') {
+		const { deleted, missing = [] } = await store.batchDeleteRows(
+			fresh.map((item) => ({ sheetName: item.sheetName, rowNumber: item.rowNumber, discordId: item.discordId })),
+			{ ...actor, action: 'prune' },
+		);
+		result.deleted = deleted;
+		result.skipped += missing.length;
+		return result;
+	}
+	// Rows that disappeared between this read and the write come back in missing
+	return writeWithinCaps(store, guild.id, fresh, async (allowed) => {
+		const { updated = 0, moved = 0, missing = [] } = allowed.length > 0 ? await store.batchUpdateRoles(allowed, actor) : {};
+		const gone = new Set(missing);
+		result.deleted = allowed.filter((item) => !item.newRole && !gone.has(item)).length;
+		result.updated = updated - result.deleted;
+		result.moved = moved;
+		result.skipped += missing.length;
+		return result;
+	});
+}
+
+const PLAN_ACTIONS = { retag: 'Retag', move: 'Move', delete: 'Delete' };
+
+export function buildPlanReport(changes) {
+	return toCsv(
+		['Action', 'Discord Username', 'Discord ID', 'EVM Wallet', 'Tab', 'Current Role', 'New Role', 'New Tab'],
+		changes.map((c) => [PLAN_ACTIONS[c.action], c.discordUsername, c.discordId, c.wallet, c.sheetName, c.oldRole, c.newRole, c.newSheet ?? '']),
+	);
+}
+
+export function summarizePlan(changes) {
+	const counts = { retag: 0, move: 0, delete: 0 };
+	for (const change of changes) counts[change.action]++;
+	return counts;
+}
+
+// Job bodies for refresh and prune. With options.dryRun the plan is kept on the job for review.
+async function runPlannedJob(target, job, ctx, plan) {
+	const changes = await plan(target, ctx);
+	if (ctx.isCancelled()) return null;
+	if (job.options.dryRun) {
+		const counts = summarizePlan(changes);
+		await ctx.progress({ updated: counts.retag, moved: counts.move, deleted: counts.delete });
+		return { dryRun: true, changes, review: null };
+	}
+	// Scheduled runs have no admin behind them
+	const actor = job.createdBy ? { actorType: 'admin', actorId: job.createdBy } : { actorType: 'system', actorId: null };
+	const result = await applyPlan(target, job.type, changes, actor);
+	await ctx.progress({ updated: result.updated, moved: result.moved, deleted: result.deleted });
+	// Rows that left a capped tier free slots for its waitlist
+	await promoteWaitlist(target.guild, target.store);
+	return result;
+}
+
+export function runRefreshJob(target, job, ctx) {
+	return runPlannedJob(target, job, ctx, planRefresh);
+}
+
+export function runPruneJob(target, job, ctx) {
+	return runPlannedJob(target, job, ctx, planPrune);
+}
+
+// Add the job's tag to rows whose member holds the tag's role and remove it from the others.
+// job.options.tag is the tag definition { roleId, label } captured when the job was queued.
+export async function runTagJob({ guild, store }, job, ctx) {
+	const { roleId, label } = job.options.tag;
+	const items = await store.listWalletsWithRow();
+	const decisions = await scanMembers(guild, items, ctx, (member) => memberRoleIds(member).has(roleId));
+	if (ctx.isCancelled()) return null;
+
+	const updates = items
+		.filter((item) => item.discordId in decisions && hasTag(item.tags, label) !== decisions[item.discordId])
+		.map((item) => ({ sheetName: item.sheetName, rowNumber: item.rowNumber, discordId: item.discordId, tags: withTag(item.tags, label, decisions[item.discordId]) }));
+	const { missing = [] } = updates.length > 0 ? await store.batchUpdateTags(updates, { actorType: 'admin', actorId: job.createdBy }) : {};
+	const written = updates.filter((u) => !missing.includes(u));
+	const tagged = written.filter((u) => hasTag(u.tags, label)).length;
+	await ctx.progress({ updated: written.length });
+	return { tagged, untagged: written.length - tagged };
+}
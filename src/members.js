@@ -0,0 +1,51 @@
+import { getHighestTierForRoles } from './tiers.js';
+import { getGuildTiers } from './guildConfig.js';
+
+// Discord error code for a user who is not (or no longer) a member of the server
+const UNKNOWN_MEMBER = 10007;
+
+export async function getMemberRoleIds(interaction) {
+	if (!interaction.guild) return new Set();
+	const member = interaction.member;
+	// Try to read roles from the interaction payload
+	if (member && member.roles) {
+		// Cached GuildMember
+		if ('cache' in member.roles) {
+			try {
+				return new Set(member.roles.cache.map((r) => r.id));
+			} catch {}
+		}
+		// Raw roles array from API payload
+		if (Array.isArray(member.roles)) {
+			return new Set(member.roles);
+		}
+	}
+	// Fallback: fetch full member (requires GuildMembers intent)
+	try {
+		const fullMember = await interaction.guild.members.fetch(interaction.user.id);
+		return new Set(fullMember.roles.cache.map((r) => r.id));
+	} catch {
+		return new Set();
+	}
+}
+
+export async function getHighestPriorityRoleLabel(interaction) {
+	try {
+		const roleIds = await getMemberRoleIds(interaction);
+		const found = getHighestTierForRoles(getGuildTiers(interaction.guild.id), roleIds);
+		return found ? found.label : '';
+	} catch {
+		return '';
+	}
+}
+
+// Fetch a member for background jobs: null if they left the server, throws on any other
+// failure (rate limit, outage) so callers can tell "no roles" apart from "couldn't check"
+export async function fetchMember(guild, discordId) {
+	try {
+		return await guild.members.fetch(discordId);
+	} catch (err) {
+		if (err?.code === UNKNOWN_MEMBER) return null;
+		throw err;
+	}
+}
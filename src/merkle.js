@@ -0,0 +1,72 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils';
+
+// Sorted-pair keccak256 Merkle tree, compatible with OpenZeppelin's MerkleProof.verify.
+// Leaves are keccak256(abi.encodePacked(address)) or, with allocations,
+// keccak256(abi.encodePacked(address, uint256 amount)).
+
+export const LEAF_ENCODING = {
+	address: 'keccak256(abi.encodePacked(address))',
+	addressAmount: 'keccak256(abi.encodePacked(address, uint256))',
+};
+
+function uint256Bytes(amount) {
+	const value = BigInt(amount);
+	if (value < 0n || value >= 2n ** 256n) throw new Error(`Amount out of uint256 range: ${amount}`);
+	return hexToBytes(value.toString(16).padStart(64, '0'));
+}
+
+export function hashLeaf(address, amount = null) {
+	const addressBytes = hexToBytes(address.slice(2).toLowerCase());
+	return keccak_256(amount === null ? addressBytes : concatBytes(addressBytes, uint256Bytes(amount)));
+}
+
+function compareBytes(a, b) {
+	for (let i = 0; i < a.length; i++) {
+		if (a[i] !== b[i]) return a[i] - b[i];
+	}
+	return 0;
+}
+
+function hashPair(a, b) {
+	return keccak_256(compareBytes(a, b) <= 0 ? concatBytes(a, b) : concatBytes(b, a));
+}
+
+// entries: [{ address, amount? }]. Returns the root and a proof per address.
+// Leaves are sorted first so the same entries always give the same root.
+export function buildMerkleTree(entries) {
+	if (entries.length === 0) throw new Error('Cannot build a Merkle tree with no entries.');
+	const leaves = entries
+		.map((entry) => ({ entry, hash: hashLeaf(entry.address, entry.amount ?? null) }))
+		.sort((a, b) => compareBytes(a.hash, b.hash));
+
+	const layers = [leaves.map((l) => l.hash)];
+	while (layers[layers.length - 1].length > 1) {
+		const current = layers[layers.length - 1];
+		const next = [];
+		for (let i = 0; i < current.length; i += 2) {
+			// An odd node out is carried up unchanged
+			next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+		}
+		layers.push(next);
+	}
+
+	const proofs = leaves.map(({ entry }, leafIndex) => {
+		const proof = [];
+		let index = leafIndex;
+		for (let level = 0; level < layers.length - 1; level++) {
+			const sibling = layers[level][index ^ 1];
+			if (sibling) proof.push(`0x${bytesToHex(sibling)}`);
+			index >>= 1;
+		}
+		return { ...entry, leaf: `0x${bytesToHex(leaves[leafIndex].hash)}`, proof };
+	});
+
+	return { root: `0x${bytesToHex(layers[layers.length - 1][0])}`, proofs };
+}
+
+export function verifyProof(root, leaf, proof) {
+	let computed = hexToBytes(leaf.slice(2));
+	for (const node of proof) computed = hashPair(computed, hexToBytes(node.slice(2)));
+	return `0x${bytesToHex(computed)}` === root.toLowerCase();
+}
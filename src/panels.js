@@ -0,0 +1,94 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { getPanels, setPanels } from './guildConfig.js';
+import { SUBMISSION_STATUS, getSubmissionState, formatSubmissionState } from './submissionWindow.js';
+
+// The public submission panel posted by /submit-wallet-setup. Posted panels are remembered per
+// server and edited whenever the submission window changes, by command or at a scheduled time.
+const MAX_PANELS = 10;
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Discord errors for a panel whose message or channel is gone
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+
+export function buildPanelMessage(guildId) {
+	const state = getSubmissionState(guildId);
+	const frozen = state.status === SUBMISSION_STATUS.FROZEN;
+
+	const submitButton = new ButtonBuilder()
+		.setCustomId('submit_wallet')
+		.setLabel('Submit Wallet')
+		.setStyle(ButtonStyle.Success)
+		.setDisabled(frozen);
+
+	const statusButton = new ButtonBuilder()
+		.setCustomId('check_status')
+		.setLabel('Check Status')
+		.setStyle(ButtonStyle.Primary);
+
+	// Panels posted before this button existed keep working; members reach it from Check Status
+	const removeButton = new ButtonBuilder()
+		.setCustomId('remove_wallet')
+		.setLabel('Remove my wallet')
+		.setStyle(ButtonStyle.Secondary)
+		.setDisabled(frozen);
+
+	const row = new ActionRowBuilder().addComponents(submitButton, statusButton, removeButton);
+
+	const embed = new EmbedBuilder()
+		.setDescription(`Submit your wallet\n\n${formatSubmissionState(state)}`)
+		.setColor(0x2b2d31);
+
+	return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+// Remember a panel message so it is kept up to date (newest first, oldest dropped past MAX_PANELS)
+export async function trackPanel(guildId, message) {
+	const panels = getPanels(guildId);
+	if (panels.some((p) => p.messageId === message.id)) return;
+	await setPanels(guildId, [{ channelId: message.channelId, messageId: message.id }, ...panels].slice(0, MAX_PANELS));
+}
+
+export async function refreshPanels(client, guildId) {
+	const panels = getPanels(guildId);
+	if (panels.length === 0) return;
+	const payload = buildPanelMessage(guildId);
+	const gone = new Set();
+	for (const panel of panels) {
+		try {
+			const channel = await client.channels.fetch(panel.channelId);
+			const message = await channel.messages.fetch(panel.messageId);
+			await message.edit(payload);
+		} catch (err) {
+			if (err?.code === UNKNOWN_CHANNEL || err?.code === UNKNOWN_MESSAGE) gone.add(panel.messageId);
+			else console.error(`Failed to update panel ${panel.messageId} in guild ${guildId}:`, err);
+		}
+	}
+	if (gone.size > 0) await setPanels(guildId, getPanels(guildId).filter((p) => !gone.has(p.messageId)));
+}
+
+// Re-render every server's panels on startup, then again whenever a scheduled open or close time passes
+export function watchSubmissionWindows(client) {
+	const rendered = new Map();
+	let checking = false;
+	async function check() {
+		if (checking) return;
+		checking = true;
+		try {
+			// Every server with posted panels, including the default server running on environment settings
+			const guildIds = [...client.guilds.cache.keys()].filter((guildId) => getPanels(guildId).length > 0);
+			for (const guildId of guildIds) {
+				const { status } = getSubmissionState(guildId);
+				if (rendered.get(guildId) === status) continue;
+				rendered.set(guildId, status);
+				await refreshPanels(client, guildId).catch((err) => console.error(`Failed to refresh panels for guild ${guildId}:`, err));
+			}
+		} finally {
+			checking = false;
+		}
+	}
+	client.once('ready', () => {
+		check();
+		setInterval(check, CHECK_INTERVAL_MS);
+	});
+}
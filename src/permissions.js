@@ -0,0 +1,45 @@
+import 'dotenv/config';
+import { PermissionFlagsBits } from 'discord.js';
+import { getGuildConfig } from './guildConfig.js';
+
+// Every slash command is an admin command; members only use the Submit/Check buttons and the modal.
+// Commands are registered with Manage Server as the default permission, which hides them from members,
+// but server admins can override that in the Integrations settings, so each call is checked again here.
+export const ADMIN_COMMAND_PERMISSIONS = PermissionFlagsBits.ManageGuild.toString();
+
+// "<@&123>, <@456> 789" -> ['123', '456', '789']
+export function parseIdList(text) {
+	return [...new Set((text || '').match(/\d{17,20}/g) || [])];
+}
+
+// Allowed admin roles/users: the server's own list, or ADMIN_ROLE_IDS / ADMIN_USER_IDS from the environment
+export function getAdminAllowlist(guildId) {
+	const config = getGuildConfig(guildId);
+	return {
+		roleIds: config?.adminRoleIds ?? parseIdList(process.env.ADMIN_ROLE_IDS),
+		userIds: config?.adminUserIds ?? parseIdList(process.env.ADMIN_USER_IDS),
+	};
+}
+
+// With no allowlist, anyone with Manage Server is an admin. With one, only the listed roles and users are.
+// The server owner and members with Administrator always pass so a bad allowlist cannot lock the server out.
+export function isCollectorAdmin(interaction) {
+	if (!interaction.inGuild()) return false;
+	if (interaction.guild?.ownerId === interaction.user.id) return true;
+	const permissions = interaction.memberPermissions;
+	if (permissions?.has(PermissionFlagsBits.Administrator)) return true;
+
+	const { roleIds, userIds } = getAdminAllowlist(interaction.guildId);
+	if (roleIds.length === 0 && userIds.length === 0) return Boolean(permissions?.has(PermissionFlagsBits.ManageGuild));
+	if (userIds.includes(interaction.user.id)) return true;
+	// member.roles is a manager when cached and a plain ID array for uncached members
+	const memberRoles = interaction.member?.roles;
+	const memberRoleIds = Array.isArray(memberRoles) ? memberRoles : [...(memberRoles?.cache?.keys() ?? [])];
+	return memberRoleIds.some((id) => roleIds.includes(id));
+}
+
+export function formatAdminAllowlist(guildId) {
+	const { roleIds, userIds } = getAdminAllowlist(guildId);
+	if (roleIds.length === 0 && userIds.length === 0) return 'Manage Server';
+	return [...roleIds.map((id) => `<@&${id}>`), ...userIds.map((id) => `<@${id}>`)].join(' ');
+}
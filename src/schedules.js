@@ -0,0 +1,78 @@
+import { getGuildConfig, getSchedules, listConfiguredGuildIds } from './guildConfig.js';
+import { enqueueJob, listJobs, JOB_STATUS } from './jobs.js';
+import { parseCron, nextCronRun } from './cron.js';
+
+// Maintenance run on a cron schedule, set per server with /schedule and stored as
+//   { refresh: { cron, mode }, prune: { cron, mode }, backup: { cron } }
+// mode is 'report' (a dry run waiting for Confirm/Cancel) or 'apply'. Each run is queued as a normal
+// background job whose progress and summary go to the server's alert channel; without one, runs are skipped.
+// Runs missed while the bot was offline are not caught up.
+export const SCHEDULED_TASKS = {
+	refresh: { label: 'Role refresh', jobType: 'refresh', modes: true },
+	prune: { label: 'Prune', jobType: 'prune', modes: true },
+	backup: { label: 'Backup', jobType: 'backup', modes: false },
+};
+
+export const SCHEDULE_MODES = ['report', 'apply'];
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Next run time in ms, or null if the stored expression no longer parses
+export function getNextRun(schedule, now = Date.now()) {
+	try {
+		return nextCronRun(parseCron(schedule.cron), now);
+	} catch {
+		return null;
+	}
+}
+
+// Queue one scheduled run. Returns the job, or null with the reason logged when it was skipped.
+async function runScheduledTask(client, guildId, task, schedule) {
+	const { jobType, modes } = SCHEDULED_TASKS[task];
+	const channelId = getGuildConfig(guildId)?.alertChannelId;
+	if (!channelId) {
+		console.warn(`Skipping scheduled ${task} in guild ${guildId}: no alert channel set.`);
+		return null;
+	}
+	if (!client.guilds.cache.has(guildId)) return null;
+	// A previous run that is still queued or running (e.g. a long refresh) covers this one
+	const active = listJobs(guildId).find((j) => j.type === jobType && (j.status === JOB_STATUS.QUEUED || j.status === JOB_STATUS.RUNNING));
+	if (active) {
+		console.warn(`Skipping scheduled ${task} in guild ${guildId}: job #${active.id} is still ${active.status}.`);
+		return null;
+	}
+	return enqueueJob({
+		guildId,
+		type: jobType,
+		createdBy: null,
+		options: { channelId, dryRun: modes && schedule.mode !== 'apply', scheduled: true },
+	});
+}
+
+// Check every server's schedules twice a minute and queue the runs whose time has come
+export function watchSchedules(client) {
+	let lastCheck = Date.now();
+	let checking = false;
+	async function check() {
+		if (checking) return;
+		checking = true;
+		const now = Date.now();
+		try {
+			for (const guildId of listConfiguredGuildIds()) {
+				for (const [task, schedule] of Object.entries(getSchedules(guildId))) {
+					if (!SCHEDULED_TASKS[task]) continue;
+					const next = getNextRun(schedule, lastCheck);
+					if (next === null || next > now) continue;
+					await runScheduledTask(client, guildId, task, schedule).catch((err) => console.error(`Scheduled ${task} failed to start in guild ${guildId}:`, err));
+				}
+			}
+		} finally {
+			lastCheck = now;
+			checking = false;
+		}
+	}
+	client.once('ready', () => {
+		lastCheck = Date.now();
+		setInterval(check, CHECK_INTERVAL_MS);
+	});
+}
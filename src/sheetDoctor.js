@@ -0,0 +1,199 @@
+import { HEADER_ROW, isBlankRow, rowToRecord } from './storage/common.js';
+import { validateEvmAddress } from './address.js';
+import { EXTRA_CHAINS, validateChainAddress } from './chains.js';
+import { getCosmosPrefix } from './guildConfig.js';
+import { readAudit } from './audit.js';
+import { toCsv } from './export.js';
+
+// Consistency checks over the raw tier tabs, for sheets edited by hand. Each issue is
+//   { type, sheetName, rowNumber, discordId, detail, fixable }
+// and repairSheet() fixes the fixable ones against the tabs as they are when it runs.
+export const DOCTOR_ISSUES = {
+	header: { label: 'Wrong header row', fix: 'header rewritten' },
+	blank: { label: 'Blank row', fix: 'row deleted' },
+	missing_id: { label: 'No valid Discord ID', fix: null },
+	duplicate: { label: 'Discord ID in several rows', fix: 'merged into the newest row' },
+	wrong_tab: { label: 'Role does not match the tab', fix: 'row moved to the tab of its role' },
+	unknown_role: { label: 'Role is not a tier label', fix: 'role set to the tier of its tab' },
+	bad_address: { label: 'Malformed address', fix: null },
+};
+
+const DISCORD_ID = /^\d{17,20}$/;
+
+function findTier(tiers, role) {
+	const label = (role || '').trim().toLowerCase();
+	return label ? tiers.find((t) => t.label.toLowerCase() === label) ?? null : null;
+}
+
+// Data rows as items ({ sheetName, rowNumber, ...record }), blank rows left out
+function tabItems(tabs) {
+	return tabs.flatMap(({ sheetName, rows }) => rows
+		.map((row, i) => ({ sheetName, rowNumber: i + 2, row }))
+		.filter(({ row }) => !isBlankRow(row))
+		.map(({ sheetName: tab, rowNumber, row }) => ({ sheetName: tab, rowNumber, ...rowToRecord(row) })));
+}
+
+// The role a row should carry: its own if that names a tier, otherwise the tier of its tab
+function expectedTier(tiers, item) {
+	return findTier(tiers, item.role) ?? tiers.find((t) => t.tab === item.sheetName) ?? null;
+}
+
+function groupDuplicates(items) {
+	const byId = new Map();
+	for (const item of items) {
+		if (!DISCORD_ID.test(item.discordId)) continue;
+		if (!byId.has(item.discordId)) byId.set(item.discordId, []);
+		byId.get(item.discordId).push(item);
+	}
+	return [...byId.values()].filter((entries) => entries.length > 1);
+}
+
+export async function scanSheet(store, guildId) {
+	const tiers = store.getTiers();
+	const tabs = await store.readTabs();
+	const issues = [];
+	const issue = (type, item, detail) => issues.push({
+		type,
+		sheetName: item.sheetName,
+		rowNumber: item.rowNumber,
+		discordId: item.discordId ?? '',
+		detail,
+		fixable: Boolean(DOCTOR_ISSUES[type].fix),
+	});
+
+	for (const { sheetName, header, rows } of tabs) {
+		if (HEADER_ROW.some((h, j) => header[j] !== h)) issue('header', { sheetName, rowNumber: 1 }, `Found: ${header.join(' | ') || '(empty)'}`);
+		rows.forEach((row, i) => {
+			if (isBlankRow(row)) issue('blank', { sheetName, rowNumber: i + 2 }, '');
+		});
+	}
+
+	const items = tabItems(tabs);
+	const duplicates = groupDuplicates(items);
+	const duplicated = new Set(duplicates.map((entries) => entries[0].discordId));
+	for (const entries of duplicates) {
+		issue('duplicate', entries[0], `Also in ${entries.slice(1).map((e) => `${e.sheetName}!${e.rowNumber}`).join(', ')}`);
+	}
+
+	const cosmosPrefix = getCosmosPrefix(guildId);
+	for (const item of items) {
+		if (!DISCORD_ID.test(item.discordId)) {
+			issue('missing_id', item, `Discord ID "${item.discordId}" (${item.discordUsername || 'no username'})`);
+		} else if (!duplicated.has(item.discordId)) {
+			// Duplicates get their role sorted out when they are merged
+			const tier = findTier(tiers, item.role);
+			if (!tier) issue('unknown_role', item, `Role "${item.role}"`);
+			else if (tier.tab !== item.sheetName) issue('wrong_tab', item, `Role ${tier.label} belongs in ${tier.tab}`);
+			else if (tier.label !== item.role) issue('unknown_role', item, `Role "${item.role}" should read ${tier.label}`);
+		}
+		const evm = validateEvmAddress(item.wallet);
+		if (!evm.ok) issue('bad_address', item, `EVM "${item.wallet}" (${evm.reason})`);
+		for (const chain of EXTRA_CHAINS) {
+			const address = item.addresses[chain.id];
+			if (!address) continue;
+			const validation = validateChainAddress(chain.id, address, { cosmosPrefix });
+			if (!validation.ok) issue('bad_address', item, `${chain.label} "${address}" (${validation.reason})`);
+		}
+	}
+
+	return { issues, tabs: tabs.length, rows: items.length };
+}
+
+export function summarizeIssues(issues) {
+	const counts = {};
+	for (const { type } of issues) counts[type] = (counts[type] || 0) + 1;
+	return Object.entries(DOCTOR_ISSUES)
+		.filter(([type]) => counts[type])
+		.map(([type, { label, fix }]) => `${label}: ${counts[type]}${fix ? '' : ' (fix by hand)'}`);
+}
+
+export function buildDoctorReport(issues) {
+	return toCsv(
+		['Issue', 'Tab', 'Row', 'Discord ID', 'Details', 'Automatic fix'],
+		issues.map((i) => [DOCTOR_ISSUES[i.type].label, i.sheetName, i.rowNumber, i.discordId, i.detail, DOCTOR_ISSUES[i.type].fix ?? '']),
+	);
+}
+
+// The row to keep among a member's rows: the one matching their latest audit entry (wallet and tier),
+// otherwise the lowest row, since new submissions are appended at the bottom of a tab
+function newestEntry(entries, lastAudit) {
+	const matching = lastAudit && entries.filter((e) => e.wallet.toLowerCase() === (lastAudit.newWallet || '').toLowerCase()
+		&& (e.role || '').trim().toLowerCase() === (lastAudit.newTier || '').toLowerCase());
+	const candidates = matching?.length > 0 ? matching : entries;
+	return candidates.reduce((newest, e) => (e.rowNumber > newest.rowNumber ? e : newest));
+}
+
+// Fill what the kept row lacks from the member's other rows; tags are combined and the earliest
+// submission time is kept
+function mergeEntries(kept, others) {
+	const merged = { ...kept, addresses: { ...kept.addresses }, tags: [...kept.tags] };
+	for (const other of others) {
+		for (const field of ['discordUsername', 'wallet', 'role']) merged[field] ||= other[field];
+		for (const chain of EXTRA_CHAINS) merged.addresses[chain.id] ||= other.addresses[chain.id];
+		for (const tag of other.tags) {
+			if (!merged.tags.some((t) => t.toLowerCase() === tag.toLowerCase())) merged.tags.push(tag);
+		}
+		if (other.submittedAt && (!merged.submittedAt || other.submittedAt < merged.submittedAt)) merged.submittedAt = other.submittedAt;
+	}
+	return merged;
+}
+
+// Fix what scanSheet() reports as fixable, reading the tabs again at each step: first headers and
+// blank rows, then duplicates (extra rows deleted, the kept row rewritten with the merged values
+// in the tab of its role), then roles of the remaining rows. Changes are audited with actor.
+export async function repairSheet(store, guildId, actor) {
+	const result = { headers: 0, blank: 0, merged: 0, moved: 0, retagged: 0, skipped: 0 };
+	const layout = await store.repairLayout();
+	result.headers = layout.headers;
+	result.blank = layout.deleted;
+
+	const tiers = store.getTiers();
+	const duplicates = groupDuplicates(tabItems(await store.readTabs()));
+	if (duplicates.length > 0) {
+		const lastAudit = new Map();
+		for (const entry of await readAudit(guildId)) {
+			if (!lastAudit.has(entry.discordId)) lastAudit.set(entry.discordId, entry);
+		}
+		for (const entries of duplicates) {
+			const kept = newestEntry(entries, lastAudit.get(entries[0].discordId));
+			const others = entries.filter((e) => e !== kept);
+			const merged = mergeEntries(kept, others);
+			const tier = expectedTier(tiers, merged);
+			if (!tier) {
+				result.skipped++;
+				continue;
+			}
+			// The member has other rows in the same tab, so a shifted row must not be found again by Discord ID
+			const extra = others.map((e) => ({ sheetName: e.sheetName, rowNumber: e.rowNumber, discordId: e.discordId, exact: true }));
+			const { missing = [] } = await store.batchDeleteRows(extra, { ...actor, action: 'merge' });
+			if (missing.length > 0) result.skipped++;
+			await store.upsertWallet({ ...merged, role: tier.label }, actor);
+			result.merged++;
+		}
+	}
+
+	const updates = tabItems(await store.readTabs()).flatMap((item) => {
+		if (!DISCORD_ID.test(item.discordId)) return [];
+		const tier = expectedTier(tiers, item);
+		if (!tier || (tier.label === item.role && tier.tab === item.sheetName)) return [];
+		return [{ ...item, newRole: tier.label }];
+	});
+	if (updates.length > 0) {
+		const { updated = 0, moved = 0, missing = [] } = await store.batchUpdateRoles(updates, actor);
+		result.retagged = updated;
+		result.moved = moved;
+		result.skipped += missing.length;
+	}
+	return result;
+}
+
+export function formatRepairResult(result) {
+	return [
+		`${result.headers} header(s) rewritten`,
+		`${result.blank} blank row(s) deleted`,
+		`${result.merged} duplicate member(s) merged`,
+		`${result.moved} row(s) moved to their tier tab`,
+		`${result.retagged} role(s) corrected`,
+		...(result.skipped > 0 ? [`${result.skipped} skipped (changed meanwhile or no tier to place them in)`] : []),
+	].join('\n');
+}
@@ -0,0 +1,140 @@
+import 'dotenv/config';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile, createJsonFile } from './jsonFile.js';
+import { validateEvmAddress } from './address.js';
+import { dedupeByWallet } from './export.js';
+import { buildMerkleTree, LEAF_ENCODING } from './merkle.js';
+
+// Frozen allowlist snapshots, one JSON file per snapshot under SNAPSHOT_DIR/<guildId>/.
+// Only the entries and root are stored; proofs are rebuilt deterministically from the entries.
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || 'data/snapshots';
+
+const treeCache = new Map();
+
+function guildDir(guildId) {
+	return path.join(SNAPSHOT_DIR, guildId);
+}
+
+// "Monadian=3, Monarch=2" -> { monadian: '3', monarch: '2' }
+export function parseAllocations(text) {
+	const allocations = {};
+	for (const part of (text || '').split(',')) {
+		if (!part.trim()) continue;
+		const [label, amount] = part.split('=').map((s) => s?.trim());
+		if (!label || !/^\d+$/.test(amount || '')) {
+			throw new Error(`Invalid allocation "${part.trim()}". Use Label=amount, separated by commas.`);
+		}
+		allocations[label.toLowerCase()] = amount;
+	}
+	return allocations;
+}
+
+function getTree(snapshot) {
+	const key = `${snapshot.guildId}:${snapshot.id}`;
+	if (!treeCache.has(key)) treeCache.set(key, buildMerkleTree(snapshot.entries));
+	return treeCache.get(key);
+}
+
+// items: listWalletsWithRow() output; tiers: the store's tiers; tier: restrict to one tier
+export async function createSnapshot(guildId, { items, tiers, tier = null, allocations = null, createdBy }) {
+	const selectedTiers = tier ? [tier] : tiers;
+	if (allocations) {
+		const missing = selectedTiers.filter((t) => allocations[t.label.toLowerCase()] === undefined);
+		if (missing.length > 0) throw new Error(`No allocation given for: ${missing.map((t) => t.label).join(', ')}.`);
+	}
+
+	const tierByTab = new Map(selectedTiers.map((t) => [t.tab, t]));
+	const skipped = [];
+	const rows = [];
+	for (const item of items) {
+		const itemTier = tierByTab.get(item.sheetName);
+		if (!itemTier) continue;
+		const validation = validateEvmAddress(item.wallet);
+		if (!validation.ok) {
+			skipped.push(item);
+			continue;
+		}
+		rows.push({ ...item, wallet: validation.address, tier: itemTier });
+	}
+
+	const entries = dedupeByWallet(rows).map((row) => ({
+		address: row.wallet,
+		...(allocations && { amount: allocations[row.tier.label.toLowerCase()] }),
+		discordId: row.discordId,
+		tier: row.tier.label,
+	}));
+	if (entries.length === 0) throw new Error('No valid wallets to snapshot.');
+
+	const createdAt = new Date().toISOString();
+	const snapshot = {
+		// e.g. 20250101T120000123Z; older snapshots have ids without the milliseconds
+		id: createdAt.replace(/[-:.]/g, ''),
+		guildId,
+		createdAt,
+		createdBy,
+		tier: tier?.label ?? null,
+		allocations,
+		leafEncoding: allocations ? LEAF_ENCODING.addressAmount : LEAF_ENCODING.address,
+		root: null,
+		entries,
+	};
+	snapshot.root = getTree(snapshot).root;
+	// A snapshot already handed out is never replaced, even by one created in the same millisecond
+	try {
+		await createJsonFile(path.join(guildDir(guildId), `${snapshot.id}.json`), snapshot);
+	} catch (err) {
+		if (err?.code === 'EEXIST') throw new Error('Another snapshot was created at the same moment. Try again.');
+		throw err;
+	}
+	return { snapshot, skipped };
+}
+
+export async function getSnapshot(guildId, id) {
+	if (!/^[\dTZ]+$/.test(id)) return null;
+	return readJsonFile(path.join(guildDir(guildId), `${id}.json`), null);
+}
+
+export async function listSnapshots(guildId) {
+	let files = [];
+	try {
+		files = await fs.readdir(guildDir(guildId));
+	} catch (err) {
+		if (err?.code !== 'ENOENT') throw err;
+	}
+	const ids = files.filter((f) => /^[\dTZ]+\.json$/.test(f)).map((f) => f.replace(/\.json$/, '')).sort().reverse();
+	const snapshots = [];
+	for (const id of ids) snapshots.push(await getSnapshot(guildId, id));
+	return snapshots.filter(Boolean);
+}
+
+export async function publishSnapshot(guildId, id) {
+	const snapshot = await getSnapshot(guildId, id);
+	if (!snapshot) throw new Error(`No snapshot with ID ${id}.`);
+	await writeJsonFile(path.join(guildDir(guildId), 'published.json'), { id, publishedAt: new Date().toISOString() });
+	return snapshot;
+}
+
+export async function getPublishedSnapshot(guildId) {
+	const published = await readJsonFile(path.join(guildDir(guildId), 'published.json'), null);
+	return published ? getSnapshot(guildId, published.id) : null;
+}
+
+// The file handed to the contract team: root plus every address's proof
+export function buildProofFile(snapshot) {
+	const claims = {};
+	for (const { address, amount, proof } of getTree(snapshot).proofs) {
+		claims[address] = { ...(amount !== undefined && { amount }), proof };
+	}
+	return {
+		id: snapshot.id,
+		createdAt: snapshot.createdAt,
+		root: snapshot.root,
+		leafEncoding: snapshot.leafEncoding,
+		claims,
+	};
+}
+
+export function findClaim(snapshot, discordId) {
+	return getTree(snapshot).proofs.find((p) => p.discordId === discordId) || null;
+}
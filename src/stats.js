@@ -0,0 +1,152 @@
+import { EmbedBuilder } from 'discord.js';
+import { getHighestTierForRoles } from './tiers.js';
+import { findDuplicates } from './duplicates.js';
+import { toCsv } from './export.js';
+
+// Figures for /wallet-stats, from listWalletsWithRow() output. Submission times come from the
+// Submitted At / Updated At columns (see storage/common.js); rows saved before those columns
+// existed are counted as undated.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKS_SHOWN = 8;
+const BAR_WIDTH = 20;
+
+function sameTier(a, b) {
+	return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+function parseTime(value) {
+	const time = Date.parse(value || '');
+	return Number.isNaN(time) ? null : time;
+}
+
+// Monday 00:00 UTC of the week holding time
+function weekStart(time) {
+	const date = new Date(time);
+	date.setUTCHours(0, 0, 0, 0);
+	date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+	return date.getTime();
+}
+
+// members: Map of Discord ID -> member for the whole server, or null to leave out the role checks.
+// waiting: waitlisted members per tier label (lowercase), see waitlist.js.
+export function collectStats({ items, tiers, members = null, waiting = new Map(), now = Date.now() }) {
+	const perTier = tiers.map((tier) => ({ tier, rows: 0, waiting: waiting.get(tier.label.toLowerCase()) || 0, lostRole: 0 }));
+	const tierOf = new Map(perTier.map((entry) => [entry.tier.tab, entry]));
+	const recent = { day: 0, week: 0, month: 0, updatedWeek: 0, undated: 0 };
+	const roles = members ? { left: 0, noTier: 0, otherTier: 0 } : null;
+	const thisWeek = weekStart(now);
+	const weeks = Array.from({ length: WEEKS_SHOWN }, (_, i) => ({ start: thisWeek - (WEEKS_SHOWN - 1 - i) * 7 * DAY_MS, count: 0 }));
+	// 'YYYY-MM-DD' -> { <tab>: new rows, updated }
+	const days = new Map();
+	const dayOf = (time) => {
+		const key = new Date(time).toISOString().slice(0, 10);
+		if (!days.has(key)) days.set(key, { updated: 0 });
+		return days.get(key);
+	};
+
+	for (const item of items) {
+		const entry = tierOf.get(item.sheetName);
+		if (entry) entry.rows++;
+
+		const submitted = parseTime(item.submittedAt);
+		if (submitted === null) {
+			recent.undated++;
+		} else {
+			if (now - submitted < DAY_MS) recent.day++;
+			if (now - submitted < 7 * DAY_MS) recent.week++;
+			if (now - submitted < 30 * DAY_MS) recent.month++;
+			const week = weeks.find((w) => submitted >= w.start && submitted < w.start + 7 * DAY_MS);
+			if (week) week.count++;
+			const day = dayOf(submitted);
+			day[item.sheetName] = (day[item.sheetName] || 0) + 1;
+		}
+		// Updates to rows submitted earlier; a fresh submission also sets Updated At
+		const updated = parseTime(item.updatedAt);
+		if (updated !== null && updated !== submitted) {
+			if (now - updated < 7 * DAY_MS) recent.updatedWeek++;
+			dayOf(updated).updated++;
+		}
+
+		if (!roles) continue;
+		const member = members.get(item.discordId);
+		const tier = member ? getHighestTierForRoles(tiers, new Set(member.roles.cache.map((r) => r.id))) : null;
+		if (!member) roles.left++;
+		else if (!tier) roles.noTier++;
+		else if (!sameTier(tier.label, item.role)) roles.otherTier++;
+		if (entry && (!member || !tier)) entry.lostRole++;
+	}
+
+	const { sharedWallets, duplicateIds } = findDuplicates(items);
+	return {
+		total: items.length,
+		members: new Set(items.map((item) => item.discordId)).size,
+		perTier,
+		recent,
+		weeks,
+		days,
+		roles,
+		duplicates: { wallets: sharedWallets.length, rows: sharedWallets.reduce((sum, s) => sum + s.entries.length, 0), ids: duplicateIds.length },
+	};
+}
+
+function formatWeeks(weeks) {
+	const max = Math.max(...weeks.map((w) => w.count), 1);
+	const lines = weeks.map((w) => `${new Date(w.start).toISOString().slice(0, 10)} ${'█'.repeat(Math.round((w.count / max) * BAR_WIDTH)).padEnd(BAR_WIDTH)} ${w.count}`);
+	return `\`\`\`\n${lines.join('\n')}\n\`\`\``;
+}
+
+export function buildStatsEmbed(stats) {
+	const { recent, roles, duplicates } = stats;
+	const tierLines = stats.perTier.map(({ tier, rows, waiting, lostRole }) => `**${tier.label}** (\`${tier.tab}\`): ${rows}${tier.cap ? ` / ${tier.cap}` : ''}`
+		+ `${waiting > 0 ? ` · ${waiting} waiting` : ''}${roles && lostRole > 0 ? ` · ${lostRole} lost their role` : ''}`);
+	return new EmbedBuilder()
+		.setTitle('Wallet Collection Stats')
+		.setDescription(`${stats.total} row(s) from ${stats.members} member(s).`)
+		.addFields(
+			{ name: 'Per tier', value: tierLines.join('\n') || 'No tiers configured.' },
+			{
+				name: 'New submissions',
+				value: [
+					`Last 24 hours: ${recent.day}`,
+					`Last 7 days: ${recent.week}`,
+					`Last 30 days: ${recent.month}`,
+					`Updated in the last 7 days: ${recent.updatedWeek}`,
+					...(recent.undated > 0 ? [`${recent.undated} row(s) saved before submission times were recorded`] : []),
+				].join('\n'),
+			},
+			{ name: 'Per week (UTC, weeks start on Monday)', value: formatWeeks(stats.weeks) },
+			{
+				name: 'Role checks',
+				value: roles
+					? [
+						`Left the server: ${roles.left}`,
+						`No tier role any more: ${roles.noTier}`,
+						`Now in another tier: ${roles.otherTier}`,
+						...(roles.left + roles.noTier + roles.otherTier > 0 ? ['`/prune-no-priority-roles` and `/refresh-wallet-roles` clean these up.'] : []),
+					].join('\n')
+					: 'Could not fetch the member list; role checks skipped.',
+			},
+			{
+				name: 'Duplicates',
+				value: `${duplicates.wallets} address(es) shared by several members (${duplicates.rows} rows)\n${duplicates.ids} member(s) stored more than once${duplicates.wallets + duplicates.ids > 0 ? '\n`/wallet-duplicates` lists them.' : ''}`,
+			},
+		)
+		.setColor(0x3498db)
+		.setTimestamp(new Date());
+}
+
+// One row per day with activity: new rows per tier, their total and updates to earlier rows
+export function buildStatsReport(stats) {
+	const dates = [...stats.days.keys()].sort();
+	return toCsv(
+		['Date', ...stats.perTier.map(({ tier }) => tier.label), 'New total', 'Updated'],
+		[
+			...dates.map((date) => {
+				const day = stats.days.get(date);
+				const counts = stats.perTier.map(({ tier }) => day[tier.tab] || 0);
+				return [date, ...counts, counts.reduce((a, b) => a + b, 0), day.updated];
+			}),
+			...(stats.recent.undated > 0 ? [['No date', ...stats.perTier.map(() => ''), stats.recent.undated, '']] : []),
+		],
+	);
+}
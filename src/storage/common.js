@@ -0,0 +1,101 @@
+import { parseTags, formatTags } from '../tags.js';
+import { EXTRA_CHAINS } from '../chains.js';
+
+// Layout shared by every storage backend: one tab per priority tier (see src/tiers.js).
+// Tags holds secondary labels (see src/tags.js) and plays no part in routing; after it comes
+// one address column per non-EVM chain (see src/chains.js), whether or not a server collects it.
+// The last two columns are ISO timestamps (UTC): when the member's row was first saved, and when its
+// wallet, addresses or tier last changed (tag edits leave it alone). Rows saved before these columns
+// existed have them empty.
+export const HEADER_ROW = ['Discord Username', 'Discord ID', 'EVM Wallet', 'Role', 'Tags', ...EXTRA_CHAINS.map((c) => c.header), 'Submitted At', 'Updated At'];
+const FIRST_CHAIN_COLUMN = 5;
+const SUBMITTED_AT_COLUMN = FIRST_CHAIN_COLUMN + EXTRA_CHAINS.length;
+export const UPDATED_AT_COLUMN = SUBMITTED_AT_COLUMN + 1;
+
+// Spreadsheet letter of a zero-based column index, e.g. 0 -> 'A'
+export function columnLetter(index) {
+	return String.fromCharCode(65 + index);
+}
+
+// Spreadsheet letter of the last column, e.g. 'J'
+export const LAST_COLUMN = columnLetter(HEADER_ROW.length - 1);
+
+export function getTierTabs(tiers) {
+	return tiers.map((t) => t.tab);
+}
+
+// Map role labels to the tab of the matching tier
+export function getSheetNameForRole(tiers, role) {
+	const normalized = (role || '').toLowerCase();
+	if (!normalized) return null; // no sheet for users without a tier role
+	return tiers.find((t) => t.label.toLowerCase() === normalized)?.tab ?? null;
+}
+
+export function rowToRecord(row) {
+	return {
+		discordUsername: row[0] ?? '',
+		discordId: row[1] ?? '',
+		wallet: row[2] ?? '',
+		role: row[3] ?? '',
+		tags: parseTags(row[4]),
+		addresses: Object.fromEntries(EXTRA_CHAINS.map((c, i) => [c.id, row[FIRST_CHAIN_COLUMN + i] ?? ''])),
+		submittedAt: row[SUBMITTED_AT_COLUMN] ?? '',
+		updatedAt: row[UPDATED_AT_COLUMN] ?? '',
+	};
+}
+
+export function recordToRow({ discordUsername, discordId, wallet, role, tags, addresses, submittedAt, updatedAt }) {
+	return [discordUsername, discordId, wallet, role ?? '', formatTags(tags), ...EXTRA_CHAINS.map((c) => addresses?.[c.id] ?? ''), submittedAt ?? '', updatedAt ?? ''];
+}
+
+// Submitted At / Updated At for an upsert of next ({ wallet, role, addresses }) over the member's
+// current record. A new row starts both now; an existing row keeps its Submitted At (empty for rows
+// saved before the column existed) and only gets a new Updated At when its wallet, addresses or tier
+// change. An explicit submittedAt replaces the stored one either way.
+export function upsertTimes(existing, next, submittedAt, now) {
+	if (!existing) return { submittedAt: submittedAt ?? now, updatedAt: now };
+	const changed = existing.wallet !== next.wallet || existing.role !== next.role
+		|| EXTRA_CHAINS.some((c) => (existing.addresses?.[c.id] ?? '') !== (next.addresses?.[c.id] ?? ''));
+	return { submittedAt: submittedAt ?? existing.submittedAt, updatedAt: changed ? now : existing.updatedAt };
+}
+
+// Set one cell, padding rows saved before the later columns existed
+export function setCell(row, index, value) {
+	while (row.length < index) row.push('');
+	row[index] = value;
+}
+
+// A row with no value in any cell (left behind when a row is cleared by hand instead of deleted)
+export function isBlankRow(row) {
+	return !row || row.every((cell) => !String(cell ?? '').trim());
+}
+
+// Runs a store's mutations one at a time, in call order, so row numbers read by one mutation
+// are not shifted by another halfway through. A failed mutation does not block the next one.
+export function createWriteQueue() {
+	let tail = Promise.resolve();
+	return (fn) => {
+		const result = tail.then(fn);
+		tail = result.catch(() => {});
+		return result;
+	};
+}
+
+// Batch items a mutation wrote, from resolveItems() found entries: each input item with previous,
+// the row as it was just before the write (read in the same queued mutation, for the audit log)
+export function appliedItems(found) {
+	return found.map(({ current, ...item }) => ({ ...item, previous: current }));
+}
+
+// Current row number of a row addressed by an earlier read. rows are the tab's data rows
+// (row i is sheet row i + 2). The row must still hold the expected Discord ID; if rows shifted
+// since the read, the member is looked up again in the same tab. Returns null if they are gone.
+// Items without a discordId are trusted as they are. Items with exact set are never looked up again:
+// one of several rows of the same member must not be taken for another of them.
+export function resolveRowNumber(rows, { rowNumber, discordId, exact }) {
+	if (!discordId) return rowNumber >= 2 && rowNumber - 2 < rows.length ? rowNumber : null;
+	if (rows[rowNumber - 2]?.[1] === discordId) return rowNumber;
+	if (exact) return null;
+	const index = rows.findIndex((row) => row?.[1] === discordId);
+	return index === -1 ? null : index + 2;
+}
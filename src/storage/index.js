@@ -0,0 +1,218 @@
+import 'dotenv/config';
+import { createSheetsStore } from './sheets.js';
+import { createJsonStore } from './json.js';
+import { getSheetNameForRole } from './common.js';
+import { EXTRA_CHAINS } from '../chains.js';
+import { resolveGuild, getGuildTiers } from '../guildConfig.js';
+import { appendAudit } from '../audit.js';
+
+// Storage interface shared by every backend:
+//   getTiers()                         this server's tiers, with tab names as stored (prefix applied)
+//   ensureSetup()                      create tier tabs/headers if missing
+//   upsertWallet(record)               insert or update by Discord ID, moving tabs when the role changes;
+//                                      record.tags and record.addresses (other chains) are optional and
+//                                      the current values are kept when omitted -> { action, previous }
+//                                      (action 'inserted' for new members, 'updated' also across a tab move)
+//   getWallet(discordId)               record or null
+//   listWallets()                      all records
+//   listWalletsWithRow()               all records with { sheetName, rowNumber }
+//   updateRole(discordId, role)        -> the record before the change, or null if the member has no row
+//   batchUpdateRoles(updates)          set the role of [{ sheetName, rowNumber, discordId, newRole }] -> { updated, moved, missing, applied }
+//   batchUpdateWallets(updates)        rewrite the wallet of [{ sheetName, rowNumber, discordId, wallet }] -> { updated, missing, applied }
+//   batchUpdateTags(updates)           rewrite the tags of [{ sheetName, rowNumber, discordId, tags }] -> { updated, missing, applied }
+//   batchDeleteRows(items)             delete [{ sheetName, rowNumber, discordId }] -> { deleted, missing, applied }
+//   deleteWallet(discordId)            remove a member's row -> the removed record, or null if there was none
+//   readTabs()                         every tier tab as stored, blank rows included -> [{ sheetName, header, rows }]
+//                                      (rows[i] is sheet row i + 2)
+//   repairLayout()                     rewrite wrong header rows and delete blank rows -> { headers, deleted }
+// Mutations take an optional trailing context { actorType, actorId, action } that is written
+// to the audit log (action overrides the derived one, e.g. 'prune').
+// Mutations run one at a time per spreadsheet/file. Batch items come from an earlier read, so each
+// row is checked to still hold its discordId and looked up again in its tab if rows have shifted;
+// items whose member is no longer in that tab are skipped and returned in missing. Items with exact: true
+// are only taken at their own row number (for members with several rows in one tab). previous (upsert)
+// and applied (batches: the items written, each with previous) hold rows as they were just before the write.
+
+const MUTATIONS = ['upsertWallet', 'updateRole', 'batchUpdateRoles', 'batchUpdateWallets', 'batchUpdateTags', 'batchDeleteRows', 'deleteWallet'];
+
+// Wrap a primary store so every mutation is replayed on a local mirror.
+// The mirror is seeded from the primary on setup; mirror failures are logged, never surfaced.
+function createMirroredStore(primary, mirror) {
+	let seeded = false;
+	const store = { ...primary };
+
+	store.ensureSetup = async () => {
+		await primary.ensureSetup();
+		if (seeded) return;
+		try {
+			await mirror.replaceAll(await primary.listWalletsWithRow());
+			seeded = true;
+		} catch (err) {
+			console.error('Mirror seed failed:', err);
+		}
+	};
+
+	// Row positions change, so the mirror is copied again rather than replayed
+	store.repairLayout = async (...args) => {
+		const result = await primary.repairLayout(...args);
+		if (seeded) {
+			try {
+				await mirror.replaceAll(await primary.listWalletsWithRow());
+			} catch (err) {
+				console.error('Mirror repairLayout failed:', err);
+			}
+		}
+		return result;
+	};
+
+	for (const name of MUTATIONS) {
+		store[name] = async (...args) => {
+			const result = await primary[name](...args);
+			if (seeded) {
+				try {
+					await mirror[name](...args);
+				} catch (err) {
+					console.error(`Mirror ${name} failed:`, err);
+				}
+			}
+			return result;
+		};
+	}
+	return store;
+}
+
+// Wrap a store so every mutation appends old/new wallet and tier to the server's audit log.
+// The old values are the ones the backend returns as replaced, read in the same queued mutation as
+// the write, so overlapping writes to one member (a role sync during an import) are logged as they happened.
+function createAuditedStore(store, guildId) {
+	const tabOf = (role) => getSheetNameForRole(store.getTiers(), role);
+	const tierOf = (sheetName) => store.getTiers().find((t) => t.tab === sheetName)?.label ?? '';
+	const actorOf = (context = {}) => ({ actorType: context.actorType || 'system', actorId: context.actorId || null });
+
+	// Other-chain addresses that changed: { solana: { old, new } }. Upserts may pass only some
+	// chains; the rest keep their previous address.
+	function addressChanges(previous, next) {
+		const changes = {};
+		for (const chain of EXTRA_CHAINS) {
+			const before = previous?.addresses?.[chain.id] ?? '';
+			const after = next ? (next.addresses?.[chain.id] ?? before) : '';
+			if (before !== after) changes[chain.id] = { old: before, new: after };
+		}
+		return changes;
+	}
+
+	function entryFor(previous, next, context, derivedAction) {
+		const addresses = addressChanges(previous, next);
+		return {
+			...actorOf(context),
+			action: context?.action || derivedAction,
+			discordId: next?.discordId ?? previous?.discordId,
+			discordUsername: next?.discordUsername ?? previous?.discordUsername ?? '',
+			oldWallet: previous?.wallet ?? '',
+			newWallet: next?.wallet ?? '',
+			oldTier: previous?.role ?? '',
+			newTier: next?.role ?? '',
+			...(Object.keys(addresses).length > 0 && { addresses }),
+		};
+	}
+
+	function changeAction(previous, newRole) {
+		if (!previous) return 'insert';
+		return tabOf(previous.role) !== tabOf(newRole) ? 'move' : 'update';
+	}
+
+	return {
+		...store,
+		async upsertWallet(record, context) {
+			const result = await store.upsertWallet(record, context);
+			if (result.action !== 'skipped') {
+				await appendAudit(guildId, [entryFor(result.previous, record, context, changeAction(result.previous, record.role))]);
+			}
+			return result;
+		},
+		async updateRole(discordId, role, context) {
+			const previous = await store.updateRole(discordId, role, context);
+			if (previous) {
+				await appendAudit(guildId, [entryFor(previous, { ...previous, role }, context, changeAction(previous, role))]);
+			}
+			return previous;
+		},
+		async batchUpdateRoles(updates, context) {
+			const result = await store.batchUpdateRoles(updates, context);
+			await appendAudit(guildId, (result.applied || []).map((u) => {
+				const previous = { ...u.previous, role: u.previous.role || tierOf(u.sheetName) };
+				const newTab = tabOf(u.newRole);
+				const action = !newTab ? 'delete' : newTab !== u.sheetName ? 'move' : 'update';
+				return entryFor(previous, newTab ? { ...u.previous, role: u.newRole } : null, context, action);
+			}));
+			return result;
+		},
+		async batchUpdateWallets(updates, context) {
+			const result = await store.batchUpdateWallets(updates, context);
+			await appendAudit(guildId, (result.applied || []).map((u) => entryFor(u.previous, { ...u.previous, wallet: u.wallet }, context, 'update')));
+			return result;
+		},
+		async batchUpdateTags(updates, context) {
+			const result = await store.batchUpdateTags(updates, context);
+			await appendAudit(guildId, (result.applied || []).map((u) => ({ ...entryFor(u.previous, u.previous, context, 'tag'), oldTags: u.previous.tags, newTags: u.tags })));
+			return result;
+		},
+		async deleteWallet(discordId, context) {
+			const removed = await store.deleteWallet(discordId, context);
+			if (removed) await appendAudit(guildId, [entryFor(removed, null, context, 'delete')]);
+			return removed;
+		},
+		async batchDeleteRows(items, context) {
+			const result = await store.batchDeleteRows(items, context);
+			await appendAudit(guildId, (result.applied || []).map((u) => entryFor(u.previous, null, context, 'delete')));
+			return result;
+		},
+	};
+}
+
+export function getBackendName(env = process.env) {
+	return (env.STORAGE_BACKEND || 'sheets').toLowerCase();
+}
+
+// Build the store for one server. Tier tabs get the server's tab prefix, and a server
+// with its own spreadsheet writes there instead of GOOGLE_SHEETS_SPREADSHEET_ID.
+export function createStore(guild, env = process.env) {
+	const backend = getBackendName(env);
+	const getTiers = () => getGuildTiers(guild.guildId).map((t) => ({ ...t, tab: `${guild.tabPrefix}${t.tab}` }));
+
+	let store;
+	if (backend === 'sheets') {
+		store = createSheetsStore({
+			getTiers,
+			spreadsheetId: guild.spreadsheetId || env.GOOGLE_SHEETS_SPREADSHEET_ID,
+			serviceAccountEmail: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+			serviceAccountPrivateKey: env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY,
+		});
+	} else if (backend === 'json') {
+		store = createJsonStore({ getTiers, filePath: env.LOCAL_STORE_PATH || 'data/wallets.json' });
+	} else {
+		throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "sheets" or "json").`);
+	}
+
+	if (env.STORAGE_MIRROR_PATH && backend !== 'json') {
+		// A server with its own spreadsheet gets its own mirror file, since tab names may overlap
+		const mirrorPath = guild.spreadsheetId
+			? env.STORAGE_MIRROR_PATH.replace(/(\.json)?$/, `.${guild.spreadsheetId}.json`)
+			: env.STORAGE_MIRROR_PATH;
+		store = createMirroredStore(store, createJsonStore({ getTiers, filePath: mirrorPath }));
+	}
+	return store;
+}
+
+const stores = new Map();
+
+// Store for a server, or null if that server has not been set up with /collector-config
+export function getStore(guildId) {
+	const guild = resolveGuild(guildId);
+	if (!guild) return null;
+	const key = `${guild.spreadsheetId}:${guild.tabPrefix}`;
+	if (!stores.has(guildId) || stores.get(guildId).key !== key) {
+		stores.set(guildId, { key, store: createAuditedStore(createStore(guild), guildId) });
+	}
+	return stores.get(guildId).store;
+}
@@ -0,0 +1,276 @@
+import { readJsonFile, writeJsonFile } from '../jsonFile.js';
+import { HEADER_ROW, UPDATED_AT_COLUMN, setCell, getTierTabs, getSheetNameForRole, rowToRecord, recordToRow, upsertTimes, appliedItems, createWriteQueue, resolveRowNumber, isBlankRow } from './common.js';
+import { formatTags } from '../tags.js';
+
+// Loaded file contents, shared by every store on the same path (servers that
+// share a file are kept apart by their tab prefix)
+const files = new Map();
+
+// Local JSON-file backend. Keeps the same tab/row layout as the spreadsheet
+// (row 1 is the header, data starts at row 2) so row numbers mean the same thing
+// in both backends and the file can mirror the sheet one-to-one. As in the Sheets backend,
+// mutations run one at a time and batch items are found again by Discord ID before writing.
+export function createJsonStore({ getTiers, filePath }) {
+	if (!filePath) {
+		throw new Error('Missing LOCAL_STORE_PATH in environment.');
+	}
+	if (!files.has(filePath)) {
+		files.set(filePath, { data: null, loading: null, writeChain: Promise.resolve(), serialize: createWriteQueue() });
+	}
+	const file = files.get(filePath);
+	let data = null;
+
+	async function load() {
+		if (!file.data) {
+			file.loading ??= readJsonFile(filePath, {}).then((stored) => {
+				file.data = { header: HEADER_ROW, tabs: stored.tabs || {} };
+			}).catch((err) => {
+				file.loading = null;
+				throw err;
+			});
+			await file.loading;
+		}
+		data = file.data;
+		return data;
+	}
+
+	// Serialize writes so concurrent mutations never interleave on disk
+	function persist() {
+		const snapshot = JSON.parse(JSON.stringify(file.data));
+		file.writeChain = file.writeChain.then(() => writeJsonFile(filePath, snapshot));
+		return file.writeChain;
+	}
+
+	function tabRows(sheetName) {
+		if (!data.tabs[sheetName]) data.tabs[sheetName] = [];
+		return data.tabs[sheetName];
+	}
+
+	function findLocation(discordId) {
+		for (const sheetName of getTierTabs(getTiers())) {
+			const index = tabRows(sheetName).findIndex((row) => row?.[1] === discordId);
+			if (index !== -1) return { sheetName, rowNumber: index + 2 };
+		}
+		return null;
+	}
+
+	function deleteRow(sheetName, rowNumber) {
+		const rows = data.tabs[sheetName];
+		if (!rows || rowNumber < 2 || rowNumber - 2 >= rows.length) return;
+		rows.splice(rowNumber - 2, 1);
+	}
+
+	// Bottom-up so each deletion leaves the rows above it in place; returns how many were deleted
+	function deleteRows(locations) {
+		const unique = [...new Map(locations.map((l) => [`${l.sheetName}!${l.rowNumber}`, l])).values()];
+		unique.sort((a, b) => b.rowNumber - a.rowNumber).forEach((l) => deleteRow(l.sheetName, l.rowNumber));
+		return unique.length;
+	}
+
+	// Same contract as the Sheets backend: { found (with current rowNumber and row), missing }
+	function resolveItems(items) {
+		const found = [];
+		const missing = [];
+		for (const item of items) {
+			const rows = data.tabs[item.sheetName];
+			const rowNumber = rows ? resolveRowNumber(rows, item) : null;
+			if (rowNumber) found.push({ ...item, rowNumber, current: rowToRecord(rows[rowNumber - 2]) });
+			else missing.push(item);
+		}
+		return { found, missing };
+	}
+
+	async function ensureSetup() {
+		await load();
+		let changed = false;
+		for (const sheetName of getTierTabs(getTiers())) {
+			if (!data.tabs[sheetName]) {
+				data.tabs[sheetName] = [];
+				changed = true;
+			}
+		}
+		if (changed) await persist();
+	}
+
+	// tags: omitted keeps the member's current tags (also across a tab move).
+	// addresses: other-chain addresses by chain ID; chains left out keep their current address.
+	// submittedAt: omitted keeps the row's own (or starts now for a new member); see upsertTimes().
+	async function upsertWallet({ discordId, discordUsername, wallet, role, tags, addresses, submittedAt }) {
+		await load();
+		const targetSheet = getSheetNameForRole(getTiers(), role);
+		if (!targetSheet) {
+			return { action: 'skipped', reason: 'no_priority_role' };
+		}
+
+		let existingLocation = findLocation(discordId);
+		const existing = existingLocation ? rowToRecord(data.tabs[existingLocation.sheetName][existingLocation.rowNumber - 2]) : null;
+		const rowTags = tags ?? existing?.tags ?? [];
+		const rowAddresses = { ...existing?.addresses, ...addresses };
+		if (existingLocation && existingLocation.sheetName !== targetSheet) {
+			deleteRow(existingLocation.sheetName, existingLocation.rowNumber);
+			existingLocation = null;
+		}
+
+		const times = upsertTimes(existing, { wallet, role, addresses: rowAddresses }, submittedAt, new Date().toISOString());
+		const row = recordToRow({ discordUsername, discordId, wallet, role, tags: rowTags, addresses: rowAddresses, ...times });
+		if (!existingLocation) {
+			tabRows(targetSheet).push(row);
+			await persist();
+			return { action: existing ? 'updated' : 'inserted', previous: existing };
+		}
+
+		tabRows(targetSheet)[existingLocation.rowNumber - 2] = row;
+		await persist();
+		return { action: 'updated', previous: existing };
+	}
+
+	async function getWallet(discordId) {
+		await load();
+		const location = findLocation(discordId);
+		if (!location) return null;
+		return rowToRecord(data.tabs[location.sheetName][location.rowNumber - 2]);
+	}
+
+	async function listWallets() {
+		const items = await listWalletsWithRow();
+		return items.map(({ sheetName, rowNumber, ...record }) => record);
+	}
+
+	async function listWalletsWithRow() {
+		await load();
+		const items = [];
+		for (const sheetName of getTierTabs(getTiers())) {
+			const rows = tabRows(sheetName);
+			for (let i = 0; i < rows.length; i++) {
+				const row = rows[i] || [];
+				if (row.length === 0) continue;
+				items.push({ sheetName, rowNumber: i + 2, ...rowToRecord(row) });
+			}
+		}
+		return items;
+	}
+
+	async function updateRole(discordId, role) {
+		const existing = await getWallet(discordId);
+		if (!existing) return null;
+		await upsertWallet({ ...existing, role });
+		return existing;
+	}
+
+	async function batchUpdateRoles(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, moved: 0, missing: [] };
+		await load();
+		const { found, missing } = resolveItems(updates);
+		const tiers = getTiers();
+		const targets = found.map((u) => ({ ...u, targetSheet: getSheetNameForRole(tiers, u.newRole) }));
+		const retags = targets.filter((u) => u.targetSheet === u.sheetName);
+		const leaving = targets.filter((u) => u.targetSheet !== u.sheetName);
+
+		const now = new Date().toISOString();
+		for (const { sheetName, rowNumber, newRole } of retags) {
+			tabRows(sheetName)[rowNumber - 2][3] = newRole ?? '';
+			setCell(tabRows(sheetName)[rowNumber - 2], UPDATED_AT_COLUMN, now);
+		}
+		deleteRows(leaving);
+		const moves = leaving.filter((u) => u.targetSheet);
+		for (const { current, newRole } of moves) {
+			await upsertWallet({ ...current, role: newRole });
+		}
+		await persist();
+		return { updated: retags.length + leaving.length - moves.length, moved: moves.length, missing, applied: appliedItems(found) };
+	}
+
+	async function deleteWallet(discordId) {
+		await load();
+		const location = findLocation(discordId);
+		if (!location) return null;
+		const removed = rowToRecord(data.tabs[location.sheetName][location.rowNumber - 2]);
+		deleteRow(location.sheetName, location.rowNumber);
+		await persist();
+		return removed;
+	}
+
+	async function batchUpdateWallets(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, missing: [] };
+		await load();
+		const { found, missing } = resolveItems(updates);
+		const now = new Date().toISOString();
+		for (const { sheetName, rowNumber, wallet } of found) {
+			tabRows(sheetName)[rowNumber - 2][2] = wallet;
+			setCell(tabRows(sheetName)[rowNumber - 2], UPDATED_AT_COLUMN, now);
+		}
+		await persist();
+		return { updated: found.length, missing, applied: appliedItems(found) };
+	}
+
+	async function batchUpdateTags(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, missing: [] };
+		await load();
+		const { found, missing } = resolveItems(updates);
+		for (const { sheetName, rowNumber, tags } of found) {
+			tabRows(sheetName)[rowNumber - 2][4] = formatTags(tags);
+		}
+		await persist();
+		return { updated: found.length, missing, applied: appliedItems(found) };
+	}
+
+	async function batchDeleteRows(items) {
+		await load();
+		if (!Array.isArray(items) || items.length === 0) return { deleted: 0, missing: [] };
+		const valid = items.filter(({ sheetName, rowNumber }) => sheetName && Number.isInteger(rowNumber) && rowNumber >= 2);
+		const { found, missing } = resolveItems(valid);
+		const deleted = deleteRows(found);
+		await persist();
+		return { deleted, missing, applied: appliedItems(found) };
+	}
+
+	// The file has a single header, so only blank rows need repairing
+	async function readTabs() {
+		await load();
+		return getTierTabs(getTiers()).map((sheetName) => ({ sheetName, header: HEADER_ROW, rows: tabRows(sheetName).map((row) => [...(row || [])]) }));
+	}
+
+	async function repairLayout() {
+		await load();
+		let deleted = 0;
+		for (const sheetName of getTierTabs(getTiers())) {
+			const rows = tabRows(sheetName);
+			const kept = rows.filter((row) => !isBlankRow(row));
+			deleted += rows.length - kept.length;
+			data.tabs[sheetName] = kept;
+		}
+		if (deleted > 0) await persist();
+		return { headers: 0, deleted };
+	}
+
+	// Overwrite the whole store with rows read from another backend (used for mirroring)
+	async function replaceAll(itemsWithRow) {
+		await load();
+		for (const sheetName of getTierTabs(getTiers())) data.tabs[sheetName] = [];
+		for (const item of itemsWithRow) {
+			const rows = tabRows(item.sheetName);
+			while (rows.length < item.rowNumber - 2) rows.push([]);
+			rows[item.rowNumber - 2] = recordToRow(item);
+		}
+		await persist();
+	}
+
+	return {
+		backend: 'json',
+		getTiers,
+		ensureSetup,
+		upsertWallet: (...args) => file.serialize(() => upsertWallet(...args)),
+		getWallet,
+		listWallets,
+		listWalletsWithRow,
+		updateRole: (...args) => file.serialize(() => updateRole(...args)),
+		batchUpdateRoles: (...args) => file.serialize(() => batchUpdateRoles(...args)),
+		batchUpdateWallets: (...args) => file.serialize(() => batchUpdateWallets(...args)),
+		batchUpdateTags: (...args) => file.serialize(() => batchUpdateTags(...args)),
+		batchDeleteRows: (...args) => file.serialize(() => batchDeleteRows(...args)),
+		deleteWallet: (...args) => file.serialize(() => deleteWallet(...args)),
+		readTabs,
+		repairLayout: (...args) => file.serialize(() => repairLayout(...args)),
+		replaceAll: (...args) => file.serialize(() => replaceAll(...args)),
+	};
+}
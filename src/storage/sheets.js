@@ -0,0 +1,570 @@
+import 'dotenv/config';
+import { google } from 'googleapis';
+import { HEADER_ROW, LAST_COLUMN, UPDATED_AT_COLUMN, columnLetter, setCell, getTierTabs, getSheetNameForRole, rowToRecord, recordToRow, upsertTimes, appliedItems, createWriteQueue, resolveRowNumber, isBlankRow } from './common.js';
+import { formatTags } from '../tags.js';
+
+async function callWithRetry(requestFn, description = 'Sheets API call') {
+	const maxAttempts = 5;
+	let attempt = 0;
+	let delayMs = 1000;
+	while (true) {
+		try {
+			return await requestFn();
+		} catch (err) {
+			attempt++;
+			const status = err?.code || err?.status || err?.response?.status || err?.cause?.code;
+			const isRateLimited = status === 429 || err?.cause?.status === 'RESOURCE_EXHAUSTED';
+			if (!isRateLimited || attempt >= maxAttempts) {
+				throw err;
+			}
+			await new Promise((r) => setTimeout(r, delayMs + Math.floor(Math.random() * 250)));
+			delayMs = Math.min(delayMs * 2, 15000);
+		}
+	}
+}
+
+// How long cached tab contents are trusted for reads. Edits made by hand in the sheet show up
+// after this; the bot's own writes update the cache directly.
+const CACHE_TTL_MS = Number(process.env.SHEETS_CACHE_TTL_MS) || 60 * 1000;
+
+// Column written next to the role or wallet by the batch updates below
+const UPDATED_AT = columnLetter(UPDATED_AT_COLUMN);
+
+// State shared by every store on the same spreadsheet (servers that share one are kept apart by
+// their tab prefix): the write queue, tabs known to exist with headers, tab IDs and cached rows.
+// tabs: sheetName -> { rows, loadedAt }, where rows[i] is sheet row i + 2. version changes with any
+// change to the cache; writes only with changes made by writes (see loadTabs).
+const spreadsheets = new Map();
+
+function spreadsheetState(spreadsheetId) {
+	if (!spreadsheets.has(spreadsheetId)) {
+		spreadsheets.set(spreadsheetId, { serialize: createWriteQueue(), readyTabs: new Set(), sheetIds: null, tabs: new Map(), version: 0, writes: 0 });
+	}
+	return spreadsheets.get(spreadsheetId);
+}
+
+// "Monadians!A7:H9" -> 7
+function firstRowOfRange(range) {
+	const match = /!\$?[A-Z]+\$?(\d+)/.exec(range || '');
+	return match ? Number(match[1]) : null;
+}
+
+// Google Sheets backend: one tab per tier in one spreadsheet, accessed with a service account.
+// Reads are served from an in-memory copy of the tier tabs (with a discordId -> row index),
+// reloaded in one request when stale. Mutations run one at a time through the spreadsheet's
+// write queue; a single-row write first re-reads that row to confirm it still holds the member,
+// and batch operations re-read every tab once and find their rows again by Discord ID.
+export function createSheetsStore({ getTiers, spreadsheetId, serviceAccountEmail, serviceAccountPrivateKey }) {
+	if (!spreadsheetId) {
+		throw new Error('Missing GOOGLE_SHEETS_SPREADSHEET_ID in environment.');
+	}
+	if (!serviceAccountEmail) {
+		throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_EMAIL in environment.');
+	}
+	if (!serviceAccountPrivateKey) {
+		throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY in environment.');
+	}
+
+	// Support both raw and \n-escaped private keys
+	const privateKey = serviceAccountPrivateKey.replace(/\\n/g, '\n');
+
+	const auth = new google.auth.JWT({
+		email: serviceAccountEmail,
+		key: privateKey,
+		scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+	});
+
+	const sheetsApi = google.sheets({ version: 'v4', auth });
+	const state = spreadsheetState(spreadsheetId);
+	let setupRun = null;
+	let index = null;
+
+	// Create missing tier tabs and headers. Runs once per set of tabs (again after /tiers adds one,
+	// or after a failed write, which may mean a tab was renamed or deleted by hand).
+	async function ensureSetup() {
+		const missing = () => getTierTabs(getTiers()).filter((name) => !state.readyTabs.has(name));
+		while (missing().length > 0) {
+			setupRun ??= setupTabs(missing()).finally(() => {
+				setupRun = null;
+			});
+			await setupRun;
+		}
+	}
+
+	async function setupTabs(sheetNames) {
+		const spreadsheet = await callWithRetry(() => sheetsApi.spreadsheets.get({ spreadsheetId }), 'spreadsheets.get');
+		const existingSheets = new Set(spreadsheet.data.sheets?.map((s) => s.properties?.title) || []);
+
+		// Create any missing sheets
+		const sheetsToCreate = sheetNames
+			.filter((name) => !existingSheets.has(name))
+			.map((name) => ({ addSheet: { properties: { title: name } } }));
+		if (sheetsToCreate.length > 0) {
+			await callWithRetry(() => sheetsApi.spreadsheets.batchUpdate({
+				spreadsheetId,
+				requestBody: { requests: sheetsToCreate },
+			}), 'spreadsheets.batchUpdate create sheets');
+			state.sheetIds = null;
+		} else {
+			state.sheetIds = new Map((spreadsheet.data.sheets || []).map((s) => [s.properties?.title, s.properties?.sheetId]));
+		}
+
+		// Write the header row of every sheet that lacks it, reading and writing all headers at once
+		const headers = await callWithRetry(() => sheetsApi.spreadsheets.values.batchGet({
+			spreadsheetId,
+			ranges: sheetNames.map((name) => `${name}!A1:${LAST_COLUMN}1`),
+		}), 'values.batchGet header');
+		const outdated = sheetNames.filter((name, i) => {
+			const firstRow = headers.data.valueRanges?.[i]?.values?.[0] ?? [];
+			return firstRow.length === 0 || HEADER_ROW.some((h, j) => firstRow[j] !== h);
+		});
+		if (outdated.length > 0) {
+			await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+				spreadsheetId,
+				requestBody: {
+					valueInputOption: 'RAW',
+					data: outdated.map((name) => ({ range: `${name}!A1:${LAST_COLUMN}1`, values: [HEADER_ROW] })),
+				},
+			}), 'values.batchUpdate header');
+		}
+		for (const name of sheetNames) state.readyTabs.add(name);
+	}
+
+	// Forget everything cached about the spreadsheet; the next call re-checks setup and reloads rows
+	function invalidate() {
+		state.readyTabs.clear();
+		state.sheetIds = null;
+		state.tabs.clear();
+		state.version++;
+		state.writes++;
+	}
+
+	// The cache was changed by a write
+	function touch() {
+		state.version++;
+		state.writes++;
+	}
+
+	// Rows of every tier tab, reloading stale or missing tabs in one request (all of them when fresh is set).
+	// Reads do not wait for the write queue, so a response that was in flight while a write changed the
+	// cache may predate that write: it is dropped and the tabs are read again.
+	async function loadTabs({ fresh = false } = {}) {
+		await ensureSetup();
+		const sheetNames = getTierTabs(getTiers());
+		while (true) {
+			const now = Date.now();
+			const stale = sheetNames.filter((name) => fresh || !state.tabs.has(name) || now - state.tabs.get(name).loadedAt > CACHE_TTL_MS);
+			if (stale.length === 0) break;
+			const writes = state.writes;
+			const resp = await callWithRetry(() => sheetsApi.spreadsheets.values.batchGet({
+				spreadsheetId,
+				ranges: stale.map((name) => `${name}!A2:${LAST_COLUMN}`),
+			}), 'values.batchGet rows');
+			if (state.writes !== writes) continue;
+			stale.forEach((name, i) => state.tabs.set(name, { rows: resp.data.valueRanges?.[i]?.values || [], loadedAt: now }));
+			state.version++;
+			break;
+		}
+		return new Map(sheetNames.map((name) => [name, state.tabs.get(name).rows]));
+	}
+
+	function cachedRows(sheetName) {
+		return state.tabs.get(sheetName)?.rows ?? null;
+	}
+
+	// discordId -> { sheetName, rowNumber }, first match in tier priority order; rebuilt when the cache changes
+	async function getIndex() {
+		const tabs = await loadTabs();
+		if (index?.version !== state.version) {
+			const map = new Map();
+			for (const [sheetName, rows] of tabs) {
+				rows.forEach((row, i) => {
+					if (row?.[1] && !map.has(row[1])) map.set(row[1], { sheetName, rowNumber: i + 2 });
+				});
+			}
+			index = { version: state.version, map };
+		}
+		return index.map;
+	}
+
+	async function getSheetIds() {
+		if (!state.sheetIds) {
+			const spreadsheet = await callWithRetry(() => sheetsApi.spreadsheets.get({ spreadsheetId }), 'spreadsheets.get');
+			state.sheetIds = new Map((spreadsheet.data.sheets || []).map((s) => [s.properties?.title, s.properties?.sheetId]));
+		}
+		return state.sheetIds;
+	}
+
+	// Where a member's row is, confirmed against the sheet before writing to it: the cached location
+	// is re-read (one row), and if it no longer holds the member, or the cache has no row for them,
+	// the tabs are reloaded. Only called from queued mutations.
+	async function findLocation(discordId) {
+		const cached = (await getIndex()).get(discordId);
+		if (cached) {
+			const range = `${cached.sheetName}!A${cached.rowNumber}:${LAST_COLUMN}${cached.rowNumber}`;
+			const resp = await callWithRetry(() => sheetsApi.spreadsheets.values.get({ spreadsheetId, range }), 'values.get verify row');
+			const row = resp.data.values?.[0] ?? [];
+			if (row[1] === discordId) {
+				setCachedRow(cached.sheetName, cached.rowNumber, row);
+				return { ...cached, record: rowToRecord(row) };
+			}
+		}
+		await loadTabs({ fresh: true });
+		const location = (await getIndex()).get(discordId);
+		if (!location) return null;
+		return { ...location, record: rowToRecord(cachedRows(location.sheetName)[location.rowNumber - 2]) };
+	}
+
+	function setCachedRow(sheetName, rowNumber, row) {
+		const rows = cachedRows(sheetName);
+		if (!rows) return;
+		while (rows.length < rowNumber - 2) rows.push([]);
+		rows[rowNumber - 2] = row;
+		touch();
+	}
+
+	// Append rows to a tab in one request and record where the sheet put them
+	async function appendRows(sheetName, rows) {
+		if (rows.length === 0) return;
+		const resp = await callWithRetry(() => sheetsApi.spreadsheets.values.append({
+			spreadsheetId,
+			range: `${sheetName}!A2:${LAST_COLUMN}`,
+			valueInputOption: 'RAW',
+			insertDataOption: 'INSERT_ROWS',
+			requestBody: { values: rows },
+		}), 'values.append rows');
+		const firstRow = firstRowOfRange(resp.data.updates?.updatedRange);
+		if (!firstRow) {
+			state.tabs.delete(sheetName);
+			touch();
+			return;
+		}
+		rows.forEach((row, i) => setCachedRow(sheetName, firstRow + i, row));
+	}
+
+	// Rewrite whole rows in one request: [{ sheetName, rowNumber, row }]
+	async function writeRows(writes, description) {
+		if (writes.length === 0) return;
+		await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+			spreadsheetId,
+			requestBody: {
+				valueInputOption: 'RAW',
+				data: writes.map(({ sheetName, rowNumber, row }) => ({
+					range: `${sheetName}!A${rowNumber}:${LAST_COLUMN}${rowNumber}`,
+					values: [row],
+				})),
+			},
+		}), description);
+		for (const { sheetName, rowNumber, row } of writes) setCachedRow(sheetName, rowNumber, row);
+	}
+
+	// Delete many rows in one request, bottom-up so each deletion leaves the rows above it in place
+	async function deleteRows(locations) {
+		const unique = [...new Map(locations.map((l) => [`${l.sheetName}!${l.rowNumber}`, l])).values()];
+		if (unique.length === 0) return 0;
+		const sheetIds = await getSheetIds();
+		const ordered = unique
+			.filter((l) => sheetIds.has(l.sheetName))
+			.sort((a, b) => b.rowNumber - a.rowNumber);
+		if (ordered.length === 0) return 0;
+		await callWithRetry(() => sheetsApi.spreadsheets.batchUpdate({
+			spreadsheetId,
+			requestBody: {
+				requests: ordered.map((l) => ({
+					deleteDimension: {
+						range: { sheetId: sheetIds.get(l.sheetName), dimension: 'ROWS', startIndex: l.rowNumber - 1, endIndex: l.rowNumber },
+					},
+				})),
+			},
+		}), 'spreadsheets.batchUpdate delete rows');
+		for (const { sheetName, rowNumber } of ordered) cachedRows(sheetName)?.splice(rowNumber - 2, 1);
+		touch();
+		return ordered.length;
+	}
+
+	// Find batch items ({ sheetName, rowNumber, discordId }) in the tabs as they are now, in one read.
+	// found items carry their current rowNumber and row contents (current); missing are the input
+	// items whose member is no longer in that tab.
+	async function resolveItems(items) {
+		const tabs = await loadTabs({ fresh: true });
+		const found = [];
+		const missing = [];
+		for (const item of items) {
+			const rows = tabs.get(item.sheetName);
+			const rowNumber = rows ? resolveRowNumber(rows, item) : null;
+			if (rowNumber) found.push({ ...item, rowNumber, current: rowToRecord(rows[rowNumber - 2]) });
+			else missing.push(item);
+		}
+		return { found, missing };
+	}
+
+	// tags: omitted keeps the member's current tags (also across a tab move).
+	// addresses: other-chain addresses by chain ID; chains left out keep their current address.
+	// submittedAt: omitted keeps the row's own (or starts now for a new member); see upsertTimes().
+	async function upsertWallet(record) {
+		await ensureSetup();
+		// User doesn't have any priority role, don't save
+		if (!getSheetNameForRole(getTiers(), record.role)) return { action: 'skipped', reason: 'no_priority_role' };
+		// Check all sheets to see if user exists elsewhere
+		return saveRow(record, await findLocation(record.discordId));
+	}
+
+	// Write a member's row, given where it is now (from findLocation(), or null for a new member)
+	async function saveRow({ discordId, discordUsername, wallet, role, tags, addresses, submittedAt }, existingLocation) {
+		const targetSheet = getSheetNameForRole(getTiers(), role);
+		if (!targetSheet) return { action: 'skipped', reason: 'no_priority_role' };
+		const previous = existingLocation?.record ?? null;
+		const rowTags = tags ?? existingLocation?.record.tags ?? [];
+		const rowAddresses = { ...existingLocation?.record.addresses, ...addresses };
+		const row = recordToRow({
+			discordUsername, discordId, wallet, role, tags: rowTags, addresses: rowAddresses,
+			...upsertTimes(existingLocation?.record, { wallet, role, addresses: rowAddresses }, submittedAt, new Date().toISOString()),
+		});
+
+		// If user exists in a different sheet, delete from old sheet
+		if (existingLocation && existingLocation.sheetName !== targetSheet) {
+			await deleteRows([existingLocation]);
+			existingLocation = null; // treat as new insert
+		}
+
+		if (!existingLocation) {
+			await appendRows(targetSheet, [row]);
+			return { action: previous ? 'updated' : 'inserted', previous };
+		}
+
+		// Update existing row in same sheet
+		await writeRows([{ sheetName: targetSheet, rowNumber: existingLocation.rowNumber, row }], 'values.batchUpdate upsert');
+		return { action: 'updated', previous };
+	}
+
+	async function deleteWallet(discordId) {
+		await ensureSetup();
+		const location = await findLocation(discordId);
+		if (!location) return null;
+		await deleteRows([location]);
+		return location.record;
+	}
+
+	async function getWallet(discordId) {
+		const location = (await getIndex()).get(discordId);
+		if (!location) return null;
+		return rowToRecord(cachedRows(location.sheetName)[location.rowNumber - 2]);
+	}
+
+	async function listWallets() {
+		const items = await listWalletsWithRow();
+		return items.map(({ sheetName, rowNumber, ...record }) => record);
+	}
+
+	async function listWalletsWithRow() {
+		const items = [];
+
+		// Collect from all tier tabs with sheet info
+		for (const [sheetName, rows] of await loadTabs()) {
+			for (let i = 0; i < rows.length; i++) {
+				const row = rows[i] || [];
+				if (row.length === 0) continue;
+				items.push({
+					sheetName: sheetName,
+					rowNumber: i + 2, // actual sheet row number
+					...rowToRecord(row),
+				});
+			}
+		}
+		return items;
+	}
+
+	// Handled by saveRow, which manages cross-sheet moves. Everything but the role is kept from the row
+	// just verified against the sheet, not from the read cache, so hand edits are not written over.
+	async function updateRole(discordId, role) {
+		await ensureSetup();
+		const location = await findLocation(discordId);
+		if (!location) return null;
+		await saveRow({ ...location.record, role }, location);
+		return location.record;
+	}
+
+	// Role changes for rows from an earlier read: [{ sheetName, rowNumber, discordId, newRole }].
+	// Rows whose new role has no tab are deleted; rows whose tier moved tabs are re-added there.
+	// Whatever the batch size this is one read, one role write, one delete and one append per tab.
+	async function batchUpdateRoles(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, moved: 0, missing: [] };
+		await ensureSetup();
+		const { found, missing } = await resolveItems(updates);
+		const tiers = getTiers();
+		const targets = found.map((u) => ({ ...u, targetSheet: getSheetNameForRole(tiers, u.newRole) }));
+		const retags = targets.filter((u) => u.targetSheet === u.sheetName);
+		const leaving = targets.filter((u) => u.targetSheet !== u.sheetName);
+
+		// Same-tab role changes first, while the row numbers just resolved are still valid
+		const now = new Date().toISOString();
+		if (retags.length > 0) {
+			await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+				spreadsheetId,
+				requestBody: {
+					valueInputOption: 'RAW',
+					data: retags.flatMap(({ sheetName, rowNumber, newRole }) => [
+						{ range: `${sheetName}!D${rowNumber}:D${rowNumber}`, values: [[newRole ?? '']] },
+						{ range: `${sheetName}!${UPDATED_AT}${rowNumber}:${UPDATED_AT}${rowNumber}`, values: [[now]] },
+					]),
+				},
+			}), 'values.batchUpdate roles');
+			for (const { sheetName, rowNumber, newRole } of retags) {
+				const row = cachedRows(sheetName)[rowNumber - 2];
+				row[3] = newRole ?? '';
+				setCell(row, UPDATED_AT_COLUMN, now);
+			}
+			touch();
+		}
+
+		// Then rows leaving their tab; moved members are re-added from their current row, over
+		// their row in the new tab if they already have one there
+		await deleteRows(leaving);
+		const moves = leaving.filter((u) => u.targetSheet);
+		const where = await getIndex();
+		const rewrites = [];
+		const appends = new Map();
+		for (const { current, newRole, targetSheet } of moves) {
+			const row = recordToRow({ ...current, role: newRole, updatedAt: now });
+			const existing = where.get(current.discordId);
+			if (existing?.sheetName === targetSheet) {
+				rewrites.push({ ...existing, row });
+			} else {
+				if (!appends.has(targetSheet)) appends.set(targetSheet, []);
+				appends.get(targetSheet).push(row);
+			}
+		}
+		await writeRows(rewrites, 'values.batchUpdate moved rows');
+		for (const [sheetName, rows] of appends) await appendRows(sheetName, rows);
+
+		return { updated: retags.length + leaving.length - moves.length, moved: moves.length, missing, applied: appliedItems(found) };
+	}
+
+	// Rewrite the wallet column of specific rows in one request: [{ sheetName, rowNumber, discordId, wallet }]
+	async function batchUpdateWallets(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, missing: [] };
+		await ensureSetup();
+		const { found, missing } = await resolveItems(updates);
+		if (found.length > 0) {
+			const now = new Date().toISOString();
+			await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+				spreadsheetId,
+				requestBody: {
+					valueInputOption: 'RAW',
+					data: found.flatMap(({ sheetName, rowNumber, wallet }) => [
+						{ range: `${sheetName}!C${rowNumber}:C${rowNumber}`, values: [[wallet]] },
+						{ range: `${sheetName}!${UPDATED_AT}${rowNumber}:${UPDATED_AT}${rowNumber}`, values: [[now]] },
+					]),
+				},
+			}), 'values.batchUpdate wallets');
+			for (const { sheetName, rowNumber, wallet } of found) {
+				const row = cachedRows(sheetName)[rowNumber - 2];
+				row[2] = wallet;
+				setCell(row, UPDATED_AT_COLUMN, now);
+			}
+			touch();
+		}
+		return { updated: found.length, missing, applied: appliedItems(found) };
+	}
+
+	// Rewrite the Tags column of specific rows in one request: [{ sheetName, rowNumber, discordId, tags }]
+	async function batchUpdateTags(updates) {
+		if (!Array.isArray(updates) || updates.length === 0) return { updated: 0, missing: [] };
+		await ensureSetup();
+		const { found, missing } = await resolveItems(updates);
+		if (found.length > 0) {
+			await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+				spreadsheetId,
+				requestBody: {
+					valueInputOption: 'RAW',
+					data: found.map(({ sheetName, rowNumber, tags }) => ({
+						range: `${sheetName}!E${rowNumber}:E${rowNumber}`,
+						values: [[formatTags(tags)]],
+					})),
+				},
+			}), 'values.batchUpdate tags');
+			for (const { sheetName, rowNumber, tags } of found) cachedRows(sheetName)[rowNumber - 2][4] = formatTags(tags);
+			touch();
+		}
+		return { updated: found.length, missing, applied: appliedItems(found) };
+	}
+
+	// Delete rows from an earlier read: [{ sheetName, rowNumber, discordId }]
+	async function batchDeleteRows(items) {
+		await ensureSetup();
+		if (!Array.isArray(items) || items.length === 0) return { deleted: 0, missing: [] };
+		const valid = items.filter(({ sheetName, rowNumber }) => sheetName && Number.isInteger(rowNumber) && rowNumber >= 2);
+		const { found, missing } = await resolveItems(valid);
+		const deleted = await deleteRows(found);
+		return { deleted, missing, applied: appliedItems(found) };
+	}
+
+	// Every tier tab as it is now, header included, in one read: [{ sheetName, header, rows }]
+	async function readTabs() {
+		await ensureSetup();
+		const sheetNames = getTierTabs(getTiers());
+		const resp = await callWithRetry(() => sheetsApi.spreadsheets.values.batchGet({
+			spreadsheetId,
+			ranges: sheetNames.map((name) => `${name}!A1:${LAST_COLUMN}`),
+		}), 'values.batchGet tabs');
+		const now = Date.now();
+		const tabs = sheetNames.map((sheetName, i) => {
+			const values = resp.data.valueRanges?.[i]?.values || [];
+			return { sheetName, header: values[0] || [], rows: values.slice(1) };
+		});
+		for (const { sheetName, rows } of tabs) state.tabs.set(sheetName, { rows: rows.map((row) => [...row]), loadedAt: now });
+		touch();
+		return tabs;
+	}
+
+	// Rewrite header rows that were edited by hand and delete blank rows between entries
+	async function repairLayout() {
+		const tabs = await readTabs();
+		const headers = tabs.filter(({ header }) => HEADER_ROW.some((h, j) => header[j] !== h));
+		if (headers.length > 0) {
+			await callWithRetry(() => sheetsApi.spreadsheets.values.batchUpdate({
+				spreadsheetId,
+				requestBody: {
+					valueInputOption: 'RAW',
+					data: headers.map(({ sheetName }) => ({ range: `${sheetName}!A1:${LAST_COLUMN}1`, values: [HEADER_ROW] })),
+				},
+			}), 'values.batchUpdate header');
+		}
+		// The API leaves out blank rows after the last entry, so every blank row here is between entries
+		const blank = tabs.flatMap(({ sheetName, rows }) => rows
+			.map((row, i) => ({ sheetName, rowNumber: i + 2, row }))
+			.filter(({ row }) => isBlankRow(row)));
+		const deleted = await deleteRows(blank);
+		return { headers: headers.length, deleted };
+	}
+
+	// Mutations share the spreadsheet's write queue. A failed write may leave the cache out of step
+	// with the sheet (or mean a tab was changed by hand), so everything is reloaded on the next call.
+	const mutation = (fn) => (...args) => state.serialize(async () => {
+		try {
+			return await fn(...args);
+		} catch (err) {
+			invalidate();
+			throw err;
+		}
+	});
+
+	return {
+		backend: 'sheets',
+		getTiers,
+		ensureSetup,
+		upsertWallet: mutation(upsertWallet),
+		getWallet,
+		listWallets,
+		listWalletsWithRow,
+		updateRole: mutation(updateRole),
+		batchUpdateRoles: mutation(batchUpdateRoles),
+		batchUpdateWallets: mutation(batchUpdateWallets),
+		batchUpdateTags: mutation(batchUpdateTags),
+		batchDeleteRows: mutation(batchDeleteRows),
+		deleteWallet: mutation(deleteWallet),
+		// Queued like a write, since it refreshes the cache
+		readTabs: mutation(readTabs),
+		repairLayout: mutation(repairLayout),
+	};
+}
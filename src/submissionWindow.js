@@ -0,0 +1,67 @@
+import { getSubmissionWindow } from './guildConfig.js';
+
+// When members may submit. Stored per server as { open, opensAt, closesAt, frozen } (ISO times):
+//   open      new submissions, updates and removals are accepted
+//   scheduled open is set but opensAt is still in the future
+//   closed    no new submissions; members who already submitted may still update or remove theirs
+//   frozen    nothing changes (e.g. after a snapshot); Check Status keeps working
+// A server with no window set is open, as before windows existed. Admin commands are never blocked.
+export const SUBMISSION_STATUS = {
+	OPEN: 'open',
+	SCHEDULED: 'scheduled',
+	CLOSED: 'closed',
+	FROZEN: 'frozen',
+};
+
+export function getSubmissionState(guildId, now = Date.now()) {
+	const window = getSubmissionWindow(guildId);
+	const opensAt = window.opensAt ? Date.parse(window.opensAt) : null;
+	const closesAt = window.closesAt ? Date.parse(window.closesAt) : null;
+	let status = SUBMISSION_STATUS.OPEN;
+	if (window.frozen) status = SUBMISSION_STATUS.FROZEN;
+	else if (window.open === false) status = SUBMISSION_STATUS.CLOSED;
+	else if (opensAt && now < opensAt) status = SUBMISSION_STATUS.SCHEDULED;
+	else if (closesAt && now >= closesAt) status = SUBMISSION_STATUS.CLOSED;
+	return { status, opensAt, closesAt };
+}
+
+// Whether a member may submit or change their entry; hasEntry: they already have a stored wallet.
+// Returns null when allowed, otherwise the message to show them.
+export function getSubmissionBlock(state, { hasEntry }) {
+	if (state.status === SUBMISSION_STATUS.FROZEN) return 'Wallet submissions are frozen. You can still check your status.';
+	if (state.status === SUBMISSION_STATUS.SCHEDULED && !hasEntry) return `Wallet submissions open ${discordTime(state.opensAt)}.`;
+	if (state.status === SUBMISSION_STATUS.CLOSED && !hasEntry) return 'Wallet submissions are closed.';
+	return null;
+}
+
+function discordTime(ms, style = 'R') {
+	return `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+// One or two lines for the panel and /submissions status. Discord renders <t:...:R> as a live countdown.
+export function formatSubmissionState(state) {
+	if (state.status === SUBMISSION_STATUS.FROZEN) return '🧊 Submissions are frozen. You can still check your status.';
+	if (state.status === SUBMISSION_STATUS.SCHEDULED) {
+		const closes = state.closesAt ? `\nCloses ${discordTime(state.closesAt, 'f')}.` : '';
+		return `⏳ Submissions open ${discordTime(state.opensAt)} (${discordTime(state.opensAt, 'f')}).${closes}`;
+	}
+	if (state.status === SUBMISSION_STATUS.CLOSED) return '🔒 Submissions are closed. If you already submitted, you can still update or remove your wallet.';
+	if (state.closesAt) return `✅ Submissions are open. Closing ${discordTime(state.closesAt)} (${discordTime(state.closesAt, 'f')}).`;
+	return '✅ Submissions are open.';
+}
+
+// "2026-11-01 18:00" (UTC), an ISO time with offset, a Unix timestamp, or a delay from now ("90m", "2h", "3d").
+// Returns milliseconds; throws on anything else.
+export function parseWindowTime(text, now = Date.now()) {
+	const value = text.trim();
+	const delay = value.match(/^\+?(\d+)\s*(m|h|d)$/i);
+	if (delay) return now + Number(delay[1]) * { m: 60_000, h: 3_600_000, d: 86_400_000 }[delay[2].toLowerCase()];
+	if (/^\d{9,11}$/.test(value)) return Number(value) * 1000;
+	const utc = value.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})$/);
+	// Date.parse alone accepts loose input like "5" (the year 2001), so only ISO dates get through
+	const ms = /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(utc ? `${utc[1]}T${utc[2]}:00Z` : value) : NaN;
+	if (Number.isNaN(ms)) {
+		throw new Error(`Could not read the time "${value}". Use e.g. \`2026-11-01 18:00\` (UTC), a Unix timestamp or a delay like \`2h\`.`);
+	}
+	return ms;
+}
@@ -0,0 +1,61 @@
+import 'dotenv/config';
+
+// Secondary tags: extra labels stored in the Tags column next to the tier (airdrop eligibility,
+// event badges, ...). They never affect which tab a member is stored in. Tag definitions tie a
+// label to a Discord role: { roleId, label }. /fill-monad-airdrop-role fills them from member roles.
+export const AIRDROP_TAG_LABEL = 'Monad Airdrop';
+
+// "Monad Airdrop, OG" -> ['Monad Airdrop', 'OG']
+export function parseTags(cell) {
+	const tags = [];
+	for (const part of String(cell ?? '').split(',')) {
+		const tag = part.trim();
+		if (tag && !tags.some((t) => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+	}
+	return tags;
+}
+
+export function formatTags(tags) {
+	return (tags || []).join(', ');
+}
+
+export function hasTag(tags, label) {
+	return (tags || []).some((t) => t.toLowerCase() === label.toLowerCase());
+}
+
+export function withTag(tags, label, present) {
+	const others = (tags || []).filter((t) => t.toLowerCase() !== label.toLowerCase());
+	return present ? [...others, label] : others;
+}
+
+// MONAD_AIRDROP_ROLE_ID gives every server the airdrop tag without configuring it
+export function getDefaultTagDefinitions() {
+	const roleId = process.env.MONAD_AIRDROP_ROLE_ID;
+	return roleId ? [{ roleId, label: AIRDROP_TAG_LABEL }] : [];
+}
+
+export function normalizeTagDefinitions(list) {
+	return (list || []).filter((t) => t?.roleId && t?.label).map(({ roleId, label }) => ({ roleId: String(roleId), label: String(label) }));
+}
+
+export function findTagByLabel(definitions, label) {
+	const normalized = (label || '').toLowerCase();
+	return definitions.find((t) => t.label.toLowerCase() === normalized) || null;
+}
+
+export function addTagDefinition(definitions, { roleId, label }) {
+	if (/,/.test(label)) throw new Error('Tag labels cannot contain commas.');
+	if (findTagByLabel(definitions, label)) throw new Error(`A tag labelled "${label}" already exists.`);
+	return normalizeTagDefinitions([...definitions, { roleId, label }]);
+}
+
+export function removeTagDefinition(definitions, label) {
+	const removed = findTagByLabel(definitions, label);
+	if (!removed) throw new Error(`No tag labelled "${label}".`);
+	return { definitions: definitions.filter((t) => t !== removed), removed };
+}
+
+export function formatTagDefinitions(definitions) {
+	if (definitions.length === 0) return 'No tags configured.';
+	return definitions.map((t) => `**${t.label}** — <@&${t.roleId}>`).join('\n');
+}
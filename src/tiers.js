@@ -0,0 +1,80 @@
+import 'dotenv/config';
+import { readJsonFile } from './jsonFile.js';
+
+// Priority tiers: the single definition used for role lookup, tab routing and refresh/prune.
+// `priority` 1 is the highest; a member is stored in the tab of the highest tier they hold.
+// These defaults (or TIERS_FILE, if present) apply to any server that has not set its own
+// tiers with /tiers; per-server tiers are persisted with the guild config (see guildConfig.js).
+// An optional `cap` limits how many rows the tier's tab takes; see waitlist.js.
+export const DEFAULT_TIERS = [
+	{ roleId: '1184443552571338792', label: 'Monadian', tab: 'Monadians', priority: 1 },
+	{ roleId: '1316432197162631238', label: 'Monarch', tab: 'Monarch', priority: 2 },
+	{ roleId: '1184772610102394950', label: 'Monalista', tab: 'Monalista', priority: 3 },
+];
+
+const TIERS_FILE = process.env.TIERS_FILE || 'data/tiers.json';
+
+let defaultTiers = normalizeTiers(DEFAULT_TIERS);
+
+// Sort by priority and renumber 1..n so priorities never have gaps or ties
+export function normalizeTiers(list) {
+	return [...list]
+		.sort((a, b) => a.priority - b.priority)
+		.map((t, i) => ({ roleId: t.roleId, label: t.label, tab: t.tab, priority: i + 1, ...(t.cap > 0 && { cap: t.cap }) }));
+}
+
+export async function loadDefaultTiers() {
+	const stored = await readJsonFile(TIERS_FILE, null);
+	if (Array.isArray(stored?.tiers)) defaultTiers = normalizeTiers(stored.tiers);
+	return defaultTiers;
+}
+
+export function getDefaultTiers() {
+	return defaultTiers;
+}
+
+export function findTierByLabel(tiers, label) {
+	const normalized = (label || '').toLowerCase();
+	return tiers.find((t) => t.label.toLowerCase() === normalized) || null;
+}
+
+// Tiers are ordered highest priority first, so the first match wins
+export function getHighestTierForRoles(tiers, roleIds) {
+	return tiers.find((t) => roleIds.has(t.roleId)) || null;
+}
+
+export function addTier(tiers, { roleId, label, tab, priority }) {
+	if (tiers.some((t) => t.roleId === roleId)) throw new Error('That role is already a tier.');
+	if (findTierByLabel(tiers, label)) throw new Error(`A tier labelled "${label}" already exists.`);
+	if (tiers.some((t) => t.tab.toLowerCase() === tab.toLowerCase())) throw new Error(`Tab "${tab}" is already used by another tier.`);
+	// Insert before the tier currently holding that priority (or last when omitted)
+	const position = Number.isInteger(priority) ? priority - 0.5 : tiers.length + 1;
+	return normalizeTiers([...tiers, { roleId, label, tab, priority: position }]);
+}
+
+export function removeTier(tiers, label) {
+	const removed = findTierByLabel(tiers, label);
+	if (!removed) throw new Error(`No tier labelled "${label}".`);
+	return { tiers: normalizeTiers(tiers.filter((t) => t !== removed)), removed };
+}
+
+export function reorderTier(tiers, label, priority) {
+	const tier = findTierByLabel(tiers, label);
+	if (!tier) throw new Error(`No tier labelled "${label}".`);
+	const others = tiers.filter((t) => t !== tier);
+	const index = Math.min(Math.max(priority, 1), tiers.length) - 1;
+	others.splice(index, 0, tier);
+	return normalizeTiers(others.map((t, i) => ({ ...t, priority: i + 1 })));
+}
+
+// cap null removes the limit
+export function setTierCap(tiers, label, cap) {
+	const tier = findTierByLabel(tiers, label);
+	if (!tier) throw new Error(`No tier labelled "${label}".`);
+	return normalizeTiers(tiers.map((t) => (t === tier ? { ...t, cap } : t)));
+}
+
+export function formatTiers(tiers) {
+	if (tiers.length === 0) return 'No tiers configured.';
+	return tiers.map((t) => `${t.priority}. **${t.label}** — <@&${t.roleId}> → tab \`${t.tab}\`${t.cap ? ` (cap ${t.cap})` : ''}`).join('\n');
+}
@@ -0,0 +1,246 @@
+import 'dotenv/config';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import { findTierByLabel, getHighestTierForRoles } from './tiers.js';
+import { fetchMember } from './members.js';
+import { sendAlert } from './alerts.js';
+
+// Waitlists for tiers with a cap (/tiers cap), one JSON file per server in WAITLIST_DIR/<guildId>.json:
+//   { entries: [{ discordId, discordUsername, wallet, addresses, role, queuedAt }] }
+// entries are kept in queue order; a member's position is counted among the entries of their tier.
+// Every write that brings a member into a capped tier checks the cap here: submissions, member sync,
+// refreshes, imports and /wallet set/retier. Promotions from the waitlist are the only other way in.
+const WAITLIST_DIR = process.env.WAITLIST_DIR || 'data/waitlist';
+
+const waitlists = new Map();
+// Cap checks, queueing and promotions for one server run one at a time, so a slot is never given twice
+const chains = new Map();
+
+function waitlistFile(guildId) {
+	return path.join(WAITLIST_DIR, `${guildId}.json`);
+}
+
+async function loadEntries(guildId) {
+	if (!waitlists.has(guildId)) {
+		const stored = await readJsonFile(waitlistFile(guildId), {});
+		waitlists.set(guildId, Array.isArray(stored.entries) ? stored.entries : []);
+	}
+	return waitlists.get(guildId);
+}
+
+function saveEntries(guildId) {
+	return writeJsonFile(waitlistFile(guildId), { entries: waitlists.get(guildId) });
+}
+
+function withWaitlist(guildId, fn) {
+	const run = (chains.get(guildId) || Promise.resolve()).then(async () => fn(await loadEntries(guildId)));
+	chains.set(guildId, run.catch(() => {}));
+	return run;
+}
+
+function sameTier(a, b) {
+	return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+function positionOf(entries, entry) {
+	const queue = entries.filter((e) => sameTier(e.role, entry.role));
+	return { entry, position: queue.indexOf(entry) + 1, size: queue.length };
+}
+
+// Rows stored per tab
+function countRows(items) {
+	const counts = new Map();
+	for (const item of items) counts.set(item.sheetName, (counts.get(item.sheetName) || 0) + 1);
+	return counts;
+}
+
+// { entry, position, size } for a waitlisted member, or null
+export async function getWaitlistEntry(guildId, discordId) {
+	const entries = await loadEntries(guildId);
+	const entry = entries.find((e) => e.discordId === discordId);
+	return entry ? positionOf(entries, entry) : null;
+}
+
+export function removeFromWaitlist(guildId, discordId) {
+	return withWaitlist(guildId, async (entries) => {
+		const index = entries.findIndex((e) => e.discordId === discordId);
+		if (index === -1) return false;
+		entries.splice(index, 1);
+		await saveEntries(guildId);
+		return true;
+	});
+}
+
+// Queue a member for tier. A new address keeps their place in the queue; a different tier starts a new one.
+function queueEntry(entries, record, tier) {
+	const index = entries.findIndex((e) => e.discordId === record.discordId);
+	const previous = entries[index];
+	const keepPlace = previous && sameTier(previous.role, tier.label);
+	const entry = {
+		discordId: record.discordId,
+		discordUsername: record.discordUsername,
+		wallet: record.wallet,
+		addresses: { ...previous?.addresses, ...record.addresses },
+		role: tier.label,
+		queuedAt: keepPlace ? previous.queuedAt : new Date().toISOString(),
+	};
+	if (keepPlace) {
+		entries[index] = entry;
+	} else {
+		if (previous) entries.splice(index, 1);
+		entries.push(entry);
+	}
+	return positionOf(entries, entry);
+}
+
+// Whether a row in role's tier ranks above tier: a member queued for tier who holds such a row has lost
+// its role (or was moved down by an admin), so the row is not kept while they wait
+function outranks(tiers, role, tier) {
+	const current = findTierByLabel(tiers, role);
+	return Boolean(current && current.priority < tier.priority);
+}
+
+// Write a member's row into the tier of record.role with write(), or queue them when that tier is full.
+// A member who already has a row in that tier always gets it written; one moving up from a lower tier
+// keeps their current row until promoted, and a row in a higher tier is removed. Returns write()'s
+// result, or { action: 'waitlisted', tier, position, size, removed }.
+export function writeOrWaitlist(store, guildId, record, write, context) {
+	return withWaitlist(guildId, async (entries) => {
+		const index = entries.findIndex((e) => e.discordId === record.discordId);
+		const tier = findTierByLabel(store.getTiers(), record.role);
+		const current = await store.getWallet(record.discordId);
+		const full = tier?.cap && !sameTier(current?.role, tier.label)
+			&& (countRows(await store.listWalletsWithRow()).get(tier.tab) || 0) >= tier.cap;
+		if (!full) {
+			const result = await write();
+			if (index !== -1) {
+				entries.splice(index, 1);
+				await saveEntries(guildId);
+			}
+			return result;
+		}
+		const queued = queueEntry(entries, record, tier);
+		await saveEntries(guildId);
+		const removed = Boolean(current && outranks(store.getTiers(), current.role, tier) && await store.deleteWallet(record.discordId, context));
+		return { action: 'waitlisted', tier, ...queued, removed };
+	});
+}
+
+// A member's own submission, through writeOrWaitlist()
+export function submitOrWaitlist(store, guildId, record, context) {
+	return writeOrWaitlist(store, guildId, record, () => store.upsertWallet(record, context), context);
+}
+
+// Role changes from a refresh ([{ sheetName, discordId, discordUsername, wallet, addresses, role, newRole }]).
+// Moves into a capped tier go ahead while it has free slots; the members left over are queued for it
+// instead, with their row kept or, when it is in a higher tier, removed (as a change to no role).
+// write(changes) makes the changes that go ahead; returns its result with waitlisted (members queued).
+export function writeWithinCaps(store, guildId, changes, write) {
+	return withWaitlist(guildId, async (entries) => {
+		const tiers = store.getTiers();
+		const counts = countRows(await store.listWalletsWithRow());
+		const allowed = [];
+		let waitlisted = 0;
+		for (const change of changes) {
+			const tier = findTierByLabel(tiers, change.newRole);
+			if (!tier?.cap || tier.tab === change.sheetName) {
+				allowed.push(change);
+			} else if ((counts.get(tier.tab) || 0) < tier.cap) {
+				counts.set(tier.tab, (counts.get(tier.tab) || 0) + 1);
+				allowed.push(change);
+			} else {
+				queueEntry(entries, change, tier);
+				waitlisted++;
+				if (outranks(tiers, change.role, tier)) allowed.push({ ...change, newRole: '' });
+			}
+		}
+		if (waitlisted > 0) await saveEntries(guildId);
+		return { ...(await write(allowed)), waitlisted };
+	});
+}
+
+// Fill free slots from the waitlists, longest waiting first. Each member's roles are checked again:
+// members who left or lost every tier role are dropped, and members whose tier changed move to that
+// tier's queue (keeping their place in time). Promoted members get a DM and are listed in the alert
+// channel. Call this after rows leave a tier or a cap is raised; returns the number promoted.
+export function promoteWaitlist(guild, store) {
+	return withWaitlist(guild.id, async (entries) => {
+		if (entries.length === 0) return 0;
+		const tiers = store.getTiers();
+		const counts = countRows(await store.listWalletsWithRow());
+		const hasRoom = (tier) => !tier?.cap || (counts.get(tier.tab) || 0) < tier.cap;
+		const promoted = [];
+		let changed = false;
+
+		for (const entry of [...entries]) {
+			// A tier that was removed or has no free slot is skipped without fetching anyone
+			const queued = findTierByLabel(tiers, entry.role);
+			if (queued && !hasRoom(queued)) continue;
+			let member;
+			try {
+				member = await fetchMember(guild, entry.discordId);
+			} catch (err) {
+				console.warn(`Waitlist: could not fetch member ${entry.discordId}:`, err?.message || err);
+				continue;
+			}
+			const tier = member ? getHighestTierForRoles(tiers, new Set(member.roles.cache.map((r) => r.id))) : null;
+			const previous = await store.getWallet(entry.discordId);
+			// Left the server, lost every tier role or already has a row in their tier (refresh, admin fix)
+			if (!tier || sameTier(previous?.role, tier.label)) {
+				entries.splice(entries.indexOf(entry), 1);
+				changed = true;
+				continue;
+			}
+			if (!sameTier(tier.label, entry.role)) {
+				entry.role = tier.label;
+				changed = true;
+			}
+			if (!hasRoom(tier)) continue;
+
+			await store.upsertWallet({
+				discordId: entry.discordId,
+				discordUsername: previous?.discordUsername || entry.discordUsername,
+				wallet: entry.wallet,
+				role: tier.label,
+				addresses: entry.addresses,
+			}, { actorType: 'system', actorId: null, action: 'promote' });
+			counts.set(tier.tab, (counts.get(tier.tab) || 0) + 1);
+			const previousTier = previous && findTierByLabel(tiers, previous.role);
+			if (previousTier) counts.set(previousTier.tab, counts.get(previousTier.tab) - 1);
+			entries.splice(entries.indexOf(entry), 1);
+			changed = true;
+			promoted.push({ entry, tier });
+			member.send(`A spot opened in **${tier.label}** on ${guild.name}: your wallet \`${entry.wallet}\` is now on the list.`)
+				.catch((err) => console.warn(`Waitlist: could not DM ${entry.discordId}:`, err?.message || err));
+		}
+
+		if (changed) await saveEntries(guild.id);
+		if (promoted.length > 0) {
+			console.log(`Waitlist in ${guild.id}: promoted ${promoted.map(({ entry }) => entry.discordId).join(', ')}`);
+			await sendAlert(guild, `📥 Promoted from the waitlist: ${promoted.map(({ entry, tier }) => `<@${entry.discordId}> (${tier.label})`).join(', ')}.`.slice(0, 1900));
+		}
+		return promoted.length;
+	});
+}
+
+// Waitlisted members per tier label (lowercase)
+export async function countWaitlist(guildId) {
+	const counts = new Map();
+	for (const entry of await loadEntries(guildId)) {
+		const key = entry.role.toLowerCase();
+		counts.set(key, (counts.get(key) || 0) + 1);
+	}
+	return counts;
+}
+
+// "Monarch 500/500 · 12 waiting" for each capped tier
+export async function formatCapUsage(guildId, store) {
+	const capped = store.getTiers().filter((t) => t.cap);
+	if (capped.length === 0) return '';
+	const counts = countRows(await store.listWalletsWithRow());
+	const waiting = await countWaitlist(guildId);
+	return capped.map((t) => {
+		const queued = waiting.get(t.label.toLowerCase()) || 0;
+		return `${t.label} ${counts.get(t.tab) || 0}/${t.cap}${queued > 0 ? ` · ${queued} waiting` : ''}`;
+	}).join('\n');
+}
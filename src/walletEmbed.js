@@ -0,0 +1,22 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatTags } from './tags.js';
+import { EXTRA_CHAINS } from './chains.js';
+
+// The stored row of one member, as shown by "check status" and /wallet lookup
+export function buildWalletEmbed(record, { title = 'Wallet Submission', location = null } = {}) {
+	const embed = new EmbedBuilder()
+		.setTitle(title)
+		.addFields(
+			{ name: 'Discord Username', value: record.discordUsername || 'Unknown', inline: true },
+			{ name: 'Discord ID', value: record.discordId, inline: true },
+			{ name: 'EVM Wallet', value: record.wallet || 'N/A' },
+			{ name: 'Role', value: record.role || 'N/A', inline: true },
+			{ name: 'Tags', value: formatTags(record.tags) || 'None', inline: true },
+		)
+		.setColor(0x2ecc71);
+	if (location) embed.addFields({ name: 'Row', value: `${location.sheetName}!${location.rowNumber}`, inline: true });
+	for (const chain of EXTRA_CHAINS) {
+		if (record.addresses?.[chain.id]) embed.addFields({ name: `${chain.label} Wallet`, value: record.addresses[chain.id] });
+	}
+	return embed;
+}